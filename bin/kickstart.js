@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+// kickstart: create projects from Kickstart Hub templates outside VS Code. Uses the same engine
+// as the extension, so the same template, scope and options produce the same files
+const path = require('path')
+const os = require('os')
+const fs = require('fs-extra')
+const readline = require('readline/promises')
+const { spawnSync } = require('child_process')
+const { parseArgs } = require('util')
+const { createNodeHost, setHost } = require('../src/utils/host')
+const { initializeStorage } = require('../src/utils/storage')
+const { updateTemplateRegistry, getTemplateRegistry } = require('../src/utils/templateRegistry')
+const { getConfigurationSections, validateProjectName } = require('../src/utils/projectOptions')
+const { scaffold } = require('../src/utils/scaffold')
+const { getInstallCommands } = require('../src/utils/projectGenerator')
+const {
+	loadTemplateManifest,
+	validatePromptValue,
+	parsePromptValue,
+} = require('../src/utils/templateManifest')
+const { createCancellationSource, isCancelledError } = require('../src/utils/cancellation')
+const { version } = require('../package.json')
+
+const USAGE = `Usage:
+  kickstart [create] [options]    Create a project; prompts for anything missing in a terminal
+  kickstart list [--json]         List available templates
+
+Options:
+  -f, --framework <key>           Template key, e.g. react-vite (see "kickstart list")
+  -s, --scope <scope>             minimal, standard or enterprise (default: standard)
+  -n, --name <name>               Project folder name
+  -l, --location <folder>         Folder to create the project in (default: current folder)
+      --package-manager <pm>      npm, yarn, pnpm or bun
+      --database <list>           Comma-separated datastores: postgresql, mongodb, mysql or
+                                  sqlite, plus redis (cache) and redis:queue
+      --authentication <auth>     jwt, oauth, passport, auth0 or none
+      --css-framework <css>       tailwind, bootstrap, mui, chakra, styled-components, antd or plain
+      --features <list>           Comma-separated, e.g. linting,testing,docker
+      --var <name=value>          Value for a prompt declared by the template, repeatable
+      --if-exists <action>        fail (default), overwrite or merge
+      --run-hooks                 Run commands declared by the template after generating
+      --install                   Install dependencies after creating the project
+      --config <file>             JSON file with kickstarthub.* settings, e.g. templateSources
+  -y, --yes                       Never prompt; fail when a required option is missing
+      --verbose                   Show diagnostic output
+  -h, --help                      Show this help
+  -v, --version                   Show the version
+
+Set GITHUB_TOKEN or GH_TOKEN to access private template repositories.`
+
+const OPTIONS = {
+	framework: { type: 'string', short: 'f' },
+	scope: { type: 'string', short: 's' },
+	name: { type: 'string', short: 'n' },
+	location: { type: 'string', short: 'l' },
+	'package-manager': { type: 'string' },
+	database: { type: 'string' },
+	authentication: { type: 'string' },
+	'css-framework': { type: 'string' },
+	features: { type: 'string' },
+	var: { type: 'string', multiple: true },
+	'if-exists': { type: 'string' },
+	'run-hooks': { type: 'boolean' },
+	install: { type: 'boolean' },
+	config: { type: 'string' },
+	yes: { type: 'boolean', short: 'y' },
+	verbose: { type: 'boolean' },
+	json: { type: 'boolean' },
+	help: { type: 'boolean', short: 'h' },
+	version: { type: 'boolean', short: 'v' },
+}
+
+async function main(argv) {
+	const { values, positionals } = parseArgs({
+		args: argv,
+		options: OPTIONS,
+		allowPositionals: true,
+	})
+	const command = positionals[0] || 'create'
+
+	if (values.help) return console.log(USAGE)
+	if (values.version) return console.log(version)
+	if (!['create', 'list'].includes(command) || positionals.length > 1) {
+		throw new Error(
+			`Unknown command "${positionals.join(' ')}". Run "kickstart --help" for usage.`
+		)
+	}
+
+	const settings = await readSettings(values.config)
+	if (values['run-hooks']) settings.templateHooks = 'always'
+
+	setHost(
+		createNodeHost({
+			settings,
+			warn: (message) => process.stderr.write(`Warning: ${message}\n`),
+			// stdout is reserved for results; engine diagnostics only show with --verbose
+			log: values.verbose ? (...args) => console.error(...args) : () => {},
+		})
+	)
+	await initializeStorage(getCacheLocation())
+
+	if (command === 'list') {
+		await listTemplates(values.json)
+	} else {
+		await createFromCommandLine(values)
+	}
+}
+
+// Settings use the same keys as VS Code settings, with or without the kickstarthub. prefix
+async function readSettings(configPath) {
+	if (!configPath) return {}
+
+	const settings = {}
+	for (const [key, value] of Object.entries(await fs.readJson(path.resolve(configPath)))) {
+		settings[key.replace(/^kickstarthub\./, '')] = value
+	}
+	return settings
+}
+
+function getCacheLocation() {
+	const cacheHome =
+		process.env.XDG_CACHE_HOME ||
+		(process.platform === 'win32'
+			? process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local')
+			: path.join(os.homedir(), '.cache'))
+	return path.join(cacheHome, 'kickstarthub')
+}
+
+async function loadRegistry() {
+	await updateTemplateRegistry()
+	const registry = await getTemplateRegistry()
+	if (!registry) {
+		throw new Error(
+			'Template registry not available. Please check your internet connection and try again.'
+		)
+	}
+	return registry
+}
+
+async function listTemplates(json) {
+	const registry = await loadRegistry()
+	const templates = Object.entries(registry.templates)
+		.map(([key, template]) => ({ key, ...template }))
+		.sort((a, b) => a.key.localeCompare(b.key))
+
+	if (json) {
+		process.stdout.write(`${JSON.stringify(templates, null, 2)}\n`)
+		return
+	}
+
+	const width = Math.max(...templates.map((template) => template.key.length))
+	for (const template of templates) {
+		const scopes = (template.scopes || ['minimal', 'standard', 'enterprise']).join(', ')
+		process.stdout.write(`${template.key.padEnd(width)}  ${template.name} (${scopes})\n`)
+	}
+}
+
+async function createFromCommandLine(values) {
+	const options = {
+		framework: values.framework,
+		scope: values.scope,
+		name: values.name,
+		location: path.resolve(values.location || '.'),
+		packageManager: values['package-manager'],
+		database: values.database
+			?.split(',')
+			.map((datastore) => datastore.trim())
+			.filter(Boolean),
+		authentication: values.authentication,
+		cssFramework: values['css-framework'],
+		features: values.features
+			?.split(',')
+			.map((feature) => feature.trim())
+			.filter(Boolean),
+		variables: parseVariables(values.var),
+		ifExists: values['if-exists'],
+	}
+
+	const interactive = !values.yes && process.stdin.isTTY && process.stderr.isTTY
+	if (interactive) {
+		await promptMissingOptions(options, values)
+	} else if (!options.framework || !options.name) {
+		throw new Error('Missing required options --framework and --name. Run "kickstart --help".')
+	}
+
+	const cancellation = createCancellationSource()
+	process.once('SIGINT', () => cancellation.cancel())
+
+	const projectPath = await scaffold({
+		...options,
+		runHooks: Boolean(values['run-hooks']),
+		token: cancellation.token,
+		progress: {
+			report: ({ message }) => {
+				if (message) process.stderr.write(`› ${message}\n`)
+			},
+		},
+	})
+	process.stdout.write(`${projectPath}\n`)
+
+	if (values.install) {
+		await installDependencies(projectPath, options)
+	}
+}
+
+function parseVariables(assignments = []) {
+	if (assignments.length === 0) return undefined
+
+	const variables = {}
+	for (const assignment of assignments) {
+		const separator = assignment.indexOf('=')
+		if (separator <= 0) {
+			throw new Error(`Expected --var name=value, got "${assignment}".`)
+		}
+		variables[assignment.slice(0, separator)] = assignment.slice(separator + 1)
+	}
+	return variables
+}
+
+// Ask for every option the flags left open, with the same choices as the extension's prompts
+async function promptMissingOptions(options, values) {
+	const rl = readline.createInterface({ input: process.stdin, output: process.stderr })
+	try {
+		const registry = await loadRegistry()
+
+		if (!options.framework) {
+			const templates = Object.entries(registry.templates)
+				.map(([key, template]) => ({ key, ...template }))
+				.sort((a, b) => a.name.localeCompare(b.name))
+			options.framework =
+				templates.length === 1
+					? templates[0].key
+					: await choose(
+							rl,
+							'Template',
+							templates.map((item) => ({
+								label: `${item.name} (${item.key})`,
+								value: item.key,
+							}))
+					  )
+		}
+
+		const template = registry.templates[options.framework]
+		if (!template) {
+			throw new Error(`Template not found in registry: ${options.framework}`)
+		}
+		const framework = { key: options.framework, ...template }
+
+		if (!options.scope) {
+			const scopes = framework.scopes || ['minimal', 'standard', 'enterprise']
+			options.scope =
+				scopes.length === 1
+					? scopes[0]
+					: await choose(
+							rl,
+							'Scope',
+							scopes.map((scope) => ({ label: scope, value: scope }))
+					  )
+		}
+
+		while (!options.name) {
+			const name = (await rl.question('Project name: ')).trim()
+			const error = validateProjectName(name)
+			if (error) {
+				process.stderr.write(`${error}\n`)
+			} else {
+				options.name = name
+			}
+		}
+
+		if (!values.location) {
+			const location = (await rl.question(`Location (${options.location}): `)).trim()
+			if (location) options.location = path.resolve(location)
+		}
+
+		const manifest = await loadTemplateManifest(framework, options.scope)
+		for (const section of getConfigurationSections(framework, manifest)) {
+			if (options[section.key] !== undefined) continue
+
+			options[section.key] = section.canPickMany
+				? await chooseMany(rl, section.title, section.options, section.validate)
+				: await choose(rl, `${section.title} (optional)`, section.options, true)
+		}
+
+		for (const prompt of manifest ? manifest.prompts : []) {
+			options.variables = options.variables || {}
+			if (options.variables[prompt.name] !== undefined) continue
+			options.variables[prompt.name] = await askPrompt(rl, prompt)
+		}
+	} finally {
+		rl.close()
+	}
+}
+
+async function choose(rl, title, choices, optional = false) {
+	process.stderr.write(`\n${title}:\n`)
+	choices.forEach((choice, index) => process.stderr.write(`  ${index + 1}) ${choice.label}\n`))
+
+	for (;;) {
+		const answer = (
+			await rl.question(optional ? 'Choose a number (Enter to skip): ' : 'Choose a number: ')
+		).trim()
+		if (!answer && optional) return undefined
+
+		const choice = choices[Number(answer) - 1]
+		if (choice) return choice.value
+	}
+}
+
+// Multi-select by comma-separated numbers; Enter keeps the preselected defaults. `validate`
+// returns an error message for choices that cannot be combined
+async function chooseMany(rl, title, choices, validate) {
+	const defaults = choices.filter((choice) => choice.picked)
+	process.stderr.write(`\n${title}:\n`)
+	choices.forEach((choice, index) =>
+		process.stderr.write(`  ${index + 1}) ${choice.picked ? '[x]' : '[ ]'} ${choice.label}\n`)
+	)
+
+	for (;;) {
+		const answer = (
+			await rl.question('Choose numbers separated by commas (Enter for defaults): ')
+		).trim()
+		if (!answer) return defaults.map((choice) => choice.value)
+
+		const selected = answer.split(',').map((item) => choices[Number(item.trim()) - 1])
+		if (!selected.every(Boolean)) continue
+
+		const values = selected.map((choice) => choice.value)
+		const error = validate && validate(values)
+		if (!error) return values
+		process.stderr.write(`${error}\n`)
+	}
+}
+
+// Ask one of the prompts a template declares in its kickstart.json
+async function askPrompt(rl, prompt) {
+	if (prompt.type === 'select') {
+		return choose(rl, prompt.message, prompt.choices)
+	}
+	if (prompt.type === 'multiselect') {
+		return chooseMany(
+			rl,
+			prompt.message,
+			prompt.choices.map((choice) => ({
+				...choice,
+				picked: prompt.default.includes(choice.value),
+			}))
+		)
+	}
+
+	let hint = prompt.default === null || prompt.default === '' ? null : prompt.default
+	if (prompt.type === 'boolean') hint = prompt.default ? 'Y/n' : 'y/N'
+
+	for (;;) {
+		const answer = (await rl.question(`${prompt.message}${hint ? ` (${hint})` : ''}: `)).trim()
+		const value = answer ? parsePromptValue(prompt, answer) : prompt.default
+		const error = validatePromptValue(prompt, value)
+		if (!error) return value
+		process.stderr.write(`${error}\n`)
+	}
+}
+
+async function installDependencies(projectPath, options) {
+	const registry = await getTemplateRegistry()
+	const framework = registry.templates[options.framework]
+
+	for (const command of await getInstallCommands(
+		projectPath,
+		options.packageManager || 'npm',
+		framework
+	)) {
+		process.stderr.write(`› ${command}\n`)
+		const result = spawnSync(command, { cwd: projectPath, stdio: 'inherit', shell: true })
+		if (result.status !== 0) {
+			throw new Error(`"${command}" failed with exit code ${result.status}`)
+		}
+	}
+}
+
+main(process.argv.slice(2)).catch((error) => {
+	if (isCancelledError(error)) {
+		process.stderr.write('Project creation was cancelled. No files were changed.\n')
+		process.exitCode = 130
+		return
+	}
+	process.stderr.write(`Error: ${error.message}\n`)
+	process.exitCode = 1
+})
@@ -0,0 +1,515 @@
+// Project creation wizard webview. All data comes from the extension through messages; the
+// extension validates everything again when the form is submitted
+;(function () {
+	const vscode = acquireVsCodeApi()
+
+	const STEPS = ['Template', 'Project', 'Options', 'Review']
+
+	const state = {
+		step: 0,
+		frameworks: [],
+		locations: {},
+		offline: false,
+		filter: '',
+		frameworkKey: null,
+		scope: null,
+		scopes: [],
+		sections: [],
+		prompts: [],
+		projectName: '',
+		targetLocation: '',
+		additionalConfig: {},
+		validation: null,
+		formError: '',
+		pendingScope: null,
+	}
+
+	const $ = (id) => document.getElementById(id)
+
+	function element(tag, className, text) {
+		const node = document.createElement(tag)
+		if (className) node.className = className
+		if (text !== undefined) node.textContent = text
+		return node
+	}
+
+	// A step can be entered once every step before it is complete
+	function isStepComplete(step) {
+		switch (step) {
+			case 0:
+				return Boolean(state.frameworkKey && state.scope)
+			case 1:
+				return Boolean(
+					state.validation &&
+						state.validation.projectName === state.projectName &&
+						state.validation.targetLocation === state.targetLocation &&
+						!state.validation.nameError &&
+						!state.validation.locationError
+				)
+			default:
+				return true
+		}
+	}
+
+	function canEnterStep(step) {
+		for (let previous = 0; previous < step; previous++) {
+			if (!isStepComplete(previous)) return false
+		}
+		return true
+	}
+
+	function goToStep(step) {
+		if (step < 0 || step >= STEPS.length || !canEnterStep(step)) return
+		state.step = step
+		state.formError = ''
+		render()
+	}
+
+	function requestValidation() {
+		vscode.postMessage({
+			type: 'validate',
+			projectName: state.projectName,
+			targetLocation: state.targetLocation,
+		})
+	}
+
+	function selectFramework(frameworkKey, scope) {
+		if (state.frameworkKey === frameworkKey && !scope) return
+		state.frameworkKey = frameworkKey
+		state.scope = null
+		state.scopes = []
+		state.sections = []
+		state.prompts = []
+		state.pendingScope = scope || null
+		vscode.postMessage({ type: 'selectFramework', frameworkKey })
+		render()
+	}
+
+	function selectScope(scope) {
+		state.scope = scope
+		state.sections = []
+		state.prompts = []
+		if (scope) {
+			vscode.postMessage({ type: 'selectScope', frameworkKey: state.frameworkKey, scope })
+		}
+	}
+
+	function getFramework() {
+		return state.frameworks.find((framework) => framework.key === state.frameworkKey)
+	}
+
+	function renderSteps() {
+		const nav = $('steps')
+		nav.replaceChildren()
+		STEPS.forEach((title, index) => {
+			const button = element('button', 'step-link', `${index + 1}. ${title}`)
+			button.type = 'button'
+			button.disabled = !canEnterStep(index)
+			if (index === state.step) button.classList.add('current')
+			if (index < state.step && isStepComplete(index)) button.classList.add('done')
+			button.addEventListener('click', () => goToStep(index))
+			nav.appendChild(button)
+		})
+
+		document.querySelectorAll('.step').forEach((section) => {
+			section.hidden = Number(section.dataset.step) !== state.step
+		})
+	}
+
+	function renderFrameworks() {
+		const list = $('frameworkList')
+		list.replaceChildren()
+		const filter = state.filter.trim().toLowerCase()
+
+		const matches = state.frameworks.filter((framework) =>
+			[framework.name, framework.category, framework.description, ...framework.tags]
+				.join(' ')
+				.toLowerCase()
+				.includes(filter)
+		)
+
+		if (matches.length === 0) {
+			list.appendChild(
+				element(
+					'p',
+					'message',
+					state.offline
+						? 'No matching templates are available offline.'
+						: 'No templates match the filter.'
+				)
+			)
+			return
+		}
+
+		const categories = [...new Set(matches.map((framework) => framework.category))].sort()
+		for (const category of categories) {
+			list.appendChild(element('h3', 'category', category))
+			for (const framework of matches.filter((item) => item.category === category)) {
+				const option = element('button', 'framework')
+				option.type = 'button'
+				option.setAttribute('role', 'option')
+				option.setAttribute('aria-selected', String(framework.key === state.frameworkKey))
+				option.appendChild(element('span', 'title', `${framework.icon} ${framework.name}`))
+				if (framework.offline) option.appendChild(element('span', 'badge', 'Offline'))
+				option.appendChild(element('span', 'description', framework.description))
+				const details = [framework.tags.join(', '), framework.sourceLabel].filter(Boolean)
+				option.appendChild(element('span', 'details', details.join(' · ')))
+				option.addEventListener('click', () => selectFramework(framework.key))
+				list.appendChild(option)
+			}
+		}
+	}
+
+	function renderScopes() {
+		const list = $('scopeList')
+		list.replaceChildren()
+
+		if (!state.frameworkKey) {
+			list.appendChild(element('p', 'message', 'Select a template first.'))
+			return
+		}
+
+		for (const scope of state.scopes) {
+			const label = element('label', 'choice')
+			const input = element('input')
+			input.type = 'radio'
+			input.name = 'scope'
+			input.checked = scope.scope === state.scope
+			input.addEventListener('change', () => {
+				selectScope(scope.scope)
+				render()
+			})
+			label.appendChild(input)
+
+			const text = element('span')
+			text.appendChild(element('span', 'title', `${scope.icon} ${scope.name}`))
+			if (scope.offline) text.appendChild(element('span', 'badge', 'Offline'))
+			text.appendChild(element('span', 'description', scope.description))
+			if (scope.features && scope.features.length > 0) {
+				text.appendChild(element('span', 'details', scope.features.join(', ')))
+			}
+			label.appendChild(text)
+			list.appendChild(label)
+		}
+	}
+
+	function renderSections() {
+		const container = $('sections')
+		container.replaceChildren()
+
+		for (const section of state.sections) {
+			const fieldset = element('fieldset')
+			fieldset.appendChild(element('legend', null, section.title))
+
+			const options = section.canPickMany
+				? section.options
+				: [{ label: 'Not specified', value: null }, ...section.options]
+			for (const option of options) {
+				const label = element('label', 'choice inline')
+				const input = element('input')
+				input.type = section.canPickMany ? 'checkbox' : 'radio'
+				input.name = section.key
+				const current = state.additionalConfig[section.key]
+				input.checked = section.canPickMany
+					? (current || []).includes(option.value)
+					: (current || null) === option.value
+				input.addEventListener('change', () => {
+					if (section.canPickMany) {
+						const values = new Set(state.additionalConfig[section.key] || [])
+						input.checked ? values.add(option.value) : values.delete(option.value)
+						state.additionalConfig[section.key] = [...values]
+					} else if (option.value === null) {
+						delete state.additionalConfig[section.key]
+					} else {
+						state.additionalConfig[section.key] = option.value
+					}
+					renderSummary()
+				})
+				label.appendChild(input)
+				label.appendChild(element('span', null, option.label))
+				fieldset.appendChild(label)
+			}
+			container.appendChild(fieldset)
+		}
+
+		if (state.prompts.length > 0) {
+			container.appendChild(renderPrompts())
+		}
+	}
+
+	// Options declared by the template's kickstart.json
+	function renderPrompts() {
+		const fieldset = element('fieldset')
+		fieldset.appendChild(element('legend', null, 'Template Options'))
+		const variables = state.additionalConfig.variables
+
+		for (const prompt of state.prompts) {
+			const update = (value) => {
+				variables[prompt.name] = value
+				renderSummary()
+			}
+
+			if (prompt.type === 'select' || prompt.type === 'multiselect') {
+				const group = element('div', 'prompt')
+				group.appendChild(element('span', 'title', prompt.message))
+				for (const choice of prompt.choices) {
+					const label = element('label', 'choice inline')
+					const input = element('input')
+					input.type = prompt.type === 'select' ? 'radio' : 'checkbox'
+					input.name = `prompt-${prompt.name}`
+					input.checked =
+						prompt.type === 'select'
+							? variables[prompt.name] === choice.value
+							: (variables[prompt.name] || []).includes(choice.value)
+					input.addEventListener('change', () => {
+						if (prompt.type === 'select') return update(choice.value)
+						const values = new Set(variables[prompt.name] || [])
+						input.checked ? values.add(choice.value) : values.delete(choice.value)
+						update(
+							prompt.choices
+								.map((item) => item.value)
+								.filter((value) => values.has(value))
+						)
+					})
+					label.appendChild(input)
+					label.appendChild(element('span', null, choice.label))
+					group.appendChild(label)
+				}
+				fieldset.appendChild(group)
+			} else if (prompt.type === 'boolean') {
+				const label = element('label', 'choice inline')
+				const input = element('input')
+				input.type = 'checkbox'
+				input.checked = Boolean(variables[prompt.name])
+				input.addEventListener('change', () => update(input.checked))
+				label.appendChild(input)
+				label.appendChild(element('span', null, prompt.message))
+				fieldset.appendChild(label)
+			} else {
+				const id = `prompt-${prompt.name}`
+				const label = element('label', null, prompt.message)
+				label.htmlFor = id
+				const input = element('input')
+				input.id = id
+				input.type = prompt.type === 'number' ? 'number' : 'text'
+				input.value = variables[prompt.name] === null ? '' : variables[prompt.name]
+				if (prompt.min !== undefined) input.min = prompt.min
+				if (prompt.max !== undefined) input.max = prompt.max
+				// Numbers are converted and every value is validated by the extension on submit
+				input.addEventListener('input', () => update(input.value))
+				fieldset.appendChild(label)
+				fieldset.appendChild(input)
+			}
+		}
+
+		return fieldset
+	}
+
+	function renderProjectFields() {
+		const validation = state.validation
+		const current =
+			validation &&
+			validation.projectName === state.projectName &&
+			validation.targetLocation === state.targetLocation
+
+		$('nameError').textContent = current && state.projectName ? validation.nameError || '' : ''
+		$('locationError').textContent = current ? validation.locationError || '' : ''
+		$('locationNotice').textContent = current ? validation.locationNotice || '' : ''
+		$('useWorkspace').hidden = !state.locations.workspace
+	}
+
+	function renderSummary() {
+		const summary = $('summary')
+		summary.replaceChildren()
+		const framework = getFramework()
+		const scope = state.scopes.find((item) => item.scope === state.scope)
+
+		const rows = [
+			['Template', framework ? `${framework.icon} ${framework.name}` : '—'],
+			['Source', framework && framework.sourceLabel],
+			['Scope', scope ? `${scope.icon} ${scope.name}` : '—'],
+			['Name', state.projectName || '—'],
+			[
+				'Location',
+				state.targetLocation && state.projectName
+					? joinPath(state.targetLocation, state.projectName)
+					: state.targetLocation || '—',
+			],
+		]
+
+		for (const section of state.sections) {
+			const value = state.additionalConfig[section.key]
+			const labels = section.options
+				.filter((option) =>
+					section.canPickMany ? (value || []).includes(option.value) : option.value === value
+				)
+				.map((option) => option.label)
+			rows.push([section.title, labels.length > 0 ? labels.join(', ') : '—'])
+		}
+
+		for (const prompt of state.prompts) {
+			const value = state.additionalConfig.variables[prompt.name]
+			const text = Array.isArray(value) ? value.join(', ') : String(value ?? '')
+			rows.push([prompt.message, text || '—'])
+		}
+
+		for (const [term, description] of rows) {
+			if (!description) continue
+			summary.appendChild(element('dt', null, term))
+			summary.appendChild(element('dd', null, description))
+		}
+	}
+
+	function renderActions() {
+		const isLast = state.step === STEPS.length - 1
+		$('back').disabled = state.step === 0
+		$('next').hidden = isLast
+		$('next').disabled = !isStepComplete(state.step)
+		$('savePreset').hidden = !isLast
+		$('preview').hidden = !isLast
+		$('create').hidden = !isLast
+		$('formError').textContent = state.formError
+	}
+
+	function render() {
+		renderSteps()
+		renderFrameworks()
+		renderScopes()
+		renderProjectFields()
+		renderSummary()
+		renderActions()
+	}
+
+	function joinPath(folder, name) {
+		const separator = folder.includes('\\') && !folder.includes('/') ? '\\' : '/'
+		return folder.endsWith(separator) ? folder + name : folder + separator + name
+	}
+
+	function submit(action) {
+		vscode.postMessage({
+			type: 'submit',
+			action,
+			frameworkKey: state.frameworkKey,
+			scope: state.scope,
+			projectName: state.projectName,
+			targetLocation: state.targetLocation,
+			additionalConfig: state.additionalConfig,
+		})
+	}
+
+	function setTargetLocation(targetLocation) {
+		state.targetLocation = targetLocation
+		$('targetLocation').value = targetLocation
+		requestValidation()
+		render()
+	}
+
+	window.addEventListener('message', (event) => {
+		const message = event.data
+		switch (message.type) {
+			case 'init':
+				state.frameworks = message.frameworks
+				state.locations = message.locations
+				state.offline = message.offline
+				setTargetLocation(message.initial.targetLocation || '')
+				if (message.initial.frameworkKey) {
+					selectFramework(message.initial.frameworkKey, message.initial.scope)
+				}
+				render()
+				break
+
+			case 'frameworkDetails': {
+				if (message.frameworkKey !== state.frameworkKey) return
+				state.scopes = message.scopes
+				const available = state.scopes.map((scope) => scope.scope)
+				selectScope(
+					available.includes(state.pendingScope)
+						? state.pendingScope
+						: available.length === 1
+						? available[0]
+						: null
+				)
+				state.pendingScope = null
+				renderSections()
+				render()
+				break
+			}
+
+			case 'scopeDetails': {
+				if (message.frameworkKey !== state.frameworkKey || message.scope !== state.scope) {
+					return
+				}
+				state.sections = message.sections
+				state.prompts = message.prompts
+
+				// Start from the defaults the QuickPick flow preselects
+				state.additionalConfig = { variables: {} }
+				for (const section of state.sections) {
+					if (section.canPickMany) {
+						state.additionalConfig[section.key] = section.options
+							.filter((option) => option.picked)
+							.map((option) => option.value)
+					}
+				}
+				for (const prompt of state.prompts) {
+					state.additionalConfig.variables[prompt.name] = prompt.default
+				}
+				renderSections()
+				render()
+				break
+			}
+
+			case 'validation':
+				state.validation = message
+				if (state.step === 3 && !isStepComplete(1)) {
+					state.step = 1
+				}
+				render()
+				break
+
+			case 'location':
+				setTargetLocation(message.targetLocation)
+				break
+
+			case 'error':
+				state.formError = message.message
+				renderActions()
+				break
+		}
+	})
+
+	$('frameworkFilter').addEventListener('input', (event) => {
+		state.filter = event.target.value
+		renderFrameworks()
+	})
+	$('projectName').addEventListener('input', (event) => {
+		state.projectName = event.target.value
+		requestValidation()
+		render()
+	})
+	$('targetLocation').addEventListener('input', (event) => {
+		state.targetLocation = event.target.value
+		requestValidation()
+		render()
+	})
+	$('browseLocation').addEventListener('click', () => vscode.postMessage({ type: 'browseLocation' }))
+	$('useWorkspace').addEventListener('click', () =>
+		setTargetLocation(state.locations.workspace)
+	)
+	$('useDefault').addEventListener('click', () => setTargetLocation(state.locations.default))
+	$('back').addEventListener('click', () => goToStep(state.step - 1))
+	$('next').addEventListener('click', () => goToStep(state.step + 1))
+	$('savePreset').addEventListener('click', () =>
+		vscode.postMessage({
+			type: 'savePreset',
+			frameworkKey: state.frameworkKey,
+			scope: state.scope,
+			additionalConfig: state.additionalConfig,
+		})
+	)
+	$('preview').addEventListener('click', () => submit('preview'))
+	$('create').addEventListener('click', () => submit('create'))
+	$('form').addEventListener('submit', (event) => event.preventDefault())
+
+	vscode.postMessage({ type: 'ready' })
+})()
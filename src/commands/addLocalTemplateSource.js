@@ -0,0 +1,101 @@
+const vscode = require('vscode')
+const path = require('path')
+const fs = require('fs-extra')
+const { CACHE_CONFIG, discoverLocalTemplates } = require('../utils/templateRegistry')
+const { resolveLocalPath } = require('../utils/templateSources')
+
+// Register a folder laid out as templates/<framework>/<scope> as a template source,
+// creating a starter template-registry.json from its contents when it has none
+async function addLocalTemplateSource() {
+	const folderUri = await vscode.window.showOpenDialog({
+		canSelectFiles: false,
+		canSelectFolders: true,
+		canSelectMany: false,
+		openLabel: 'Use as template source',
+		title: 'Select a folder containing templates/<framework>/<scope>',
+	})
+	if (!folderUri || folderUri.length === 0) return false
+
+	const folderPath = folderUri[0].fsPath
+	const config = vscode.workspace.getConfiguration('kickstarthub')
+	const sources = config.get('templateSources', [])
+
+	if (
+		sources.some(
+			(source) => source.type === 'local' && resolveLocalPath(source.path) === folderPath
+		)
+	) {
+		vscode.window.showInformationMessage(`"${folderPath}" is already a template source.`)
+		return false
+	}
+
+	try {
+		const registryPath = path.join(folderPath, CACHE_CONFIG.registryFile)
+
+		if (!(await fs.pathExists(registryPath))) {
+			const discovered = await discoverLocalTemplates(folderPath)
+			const templateCount = Object.keys(discovered).length
+
+			if (templateCount === 0) {
+				vscode.window.showErrorMessage(
+					`No templates found in "${folderPath}". Expected folders like templates/<framework>/<scope>.`
+				)
+				return false
+			}
+
+			const choice = await vscode.window.showWarningMessage(
+				`"${folderPath}" has no ${CACHE_CONFIG.registryFile}. Create one for the ${templateCount} template(s) found?`,
+				{ modal: true },
+				'Create Registry'
+			)
+			if (choice !== 'Create Registry') return false
+
+			await fs.writeFile(
+				registryPath,
+				JSON.stringify(createStarterRegistry(discovered), null, '\t') + '\n'
+			)
+		}
+
+		// Only the user settings are rewritten; get() would copy workspace sources into them
+		const userSources = config.inspect('templateSources')?.globalValue || []
+		await config.update(
+			'templateSources',
+			[{ type: 'local', path: folderPath, label: path.basename(folderPath) }, ...userSources],
+			vscode.ConfigurationTarget.Global
+		)
+
+		vscode.window.showInformationMessage(
+			`📚 Added "${path.basename(folderPath)}" as a template source.`
+		)
+		return true
+	} catch (error) {
+		vscode.window.showErrorMessage(`Error adding template source: ${error.message}`)
+		console.error('KickStart Hub Error:', error)
+		return false
+	}
+}
+
+function createStarterRegistry(discovered) {
+	const templates = {}
+
+	for (const [key, scopes] of Object.entries(discovered)) {
+		templates[key] = {
+			name: key,
+			description: `Local template ${key}`,
+			icon: '📦',
+			tags: [],
+			scopes,
+			category: 'Local Templates',
+			version: '',
+			lastUpdated: new Date().toISOString(),
+		}
+	}
+
+	return {
+		version: '1.0.0',
+		lastUpdated: new Date().toISOString(),
+		templates,
+	}
+}
+
+module.exports = { addLocalTemplateSource }
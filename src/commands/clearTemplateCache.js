@@ -0,0 +1,24 @@
+const vscode = require('vscode')
+const { clearCache } = require('../utils/storage')
+
+async function clearTemplateCache() {
+	const choice = await vscode.window.showWarningMessage(
+		'Clear all cached templates? The template registry and templates will be downloaded again when needed.',
+		{ modal: true },
+		'Clear Cache'
+	)
+
+	if (choice !== 'Clear Cache') return false
+
+	try {
+		await clearCache()
+		vscode.window.showInformationMessage('🧹 Template cache cleared.')
+		return true
+	} catch (error) {
+		vscode.window.showErrorMessage(`Error clearing template cache: ${error.message}`)
+		console.error('KickStart Hub Error:', error)
+		return false
+	}
+}
+
+module.exports = { clearTemplateCache }
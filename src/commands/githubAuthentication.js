@@ -0,0 +1,47 @@
+const vscode = require('vscode')
+const { signInWithGitHub, storeGitHubToken } = require('../vscodeHost')
+
+async function signInToGitHub() {
+	try {
+		if (await signInWithGitHub()) {
+			vscode.window.showInformationMessage(
+				'🔐 Signed in to GitHub. Templates will be downloaded with your account.'
+			)
+		}
+	} catch (error) {
+		vscode.window.showErrorMessage(`GitHub sign in failed: ${error.message}`)
+	}
+}
+
+async function setGitHubToken() {
+	const token = await vscode.window.showInputBox({
+		prompt: 'Enter a GitHub personal access token (leave empty to remove the stored token)',
+		placeHolder: 'ghp_...',
+		password: true,
+		ignoreFocusOut: true,
+	})
+
+	if (token === undefined) return
+
+	await storeGitHubToken(token.trim())
+	vscode.window.showInformationMessage(
+		token.trim() ? '🔐 GitHub token saved.' : 'GitHub token removed.'
+	)
+}
+
+// Error message offering the ways to authenticate against GitHub
+async function showGitHubAccessError(message) {
+	const action = await vscode.window.showErrorMessage(
+		message,
+		'Sign in to GitHub',
+		'Set GitHub Token'
+	)
+
+	if (action === 'Sign in to GitHub') {
+		await signInToGitHub()
+	} else if (action === 'Set GitHub Token') {
+		await setGitHubToken()
+	}
+}
+
+module.exports = { signInToGitHub, setGitHubToken, showGitHubAccessError }
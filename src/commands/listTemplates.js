@@ -0,0 +1,147 @@
+const vscode = require('vscode')
+const {
+	PROJECT_SCOPES,
+	updateTemplateRegistry,
+	getTemplateRegistry,
+} = require('../utils/templateRegistry')
+
+const TEMPLATES_VIEW_ID = 'kickstarthub.templates'
+
+// Tree data provider backing the "Templates" view in the Kickstart Hub activity bar container.
+// Hierarchy: category -> template -> scope
+class TemplateTreeProvider {
+	constructor() {
+		this._onDidChangeTreeData = new vscode.EventEmitter()
+		this.onDidChangeTreeData = this._onDidChangeTreeData.event
+		this.registry = null
+	}
+
+	refresh() {
+		this.registry = null
+		this._onDidChangeTreeData.fire()
+	}
+
+	getTreeItem(element) {
+		return element
+	}
+
+	async getChildren(element) {
+		if (!element) {
+			return this.getCategoryItems()
+		}
+
+		switch (element.contextValue) {
+			case 'category':
+				return element.templates.map((template) => createTemplateItem(template))
+			case 'template':
+				return getTemplateScopes(element.template).map((scope) =>
+					createScopeItem(element.template, scope)
+				)
+			default:
+				return []
+		}
+	}
+
+	async getCategoryItems() {
+		if (!this.registry) {
+			try {
+				await updateTemplateRegistry()
+			} catch (error) {
+				console.error('Failed to update template registry:', error)
+			}
+			this.registry = await getTemplateRegistry()
+		}
+
+		if (!this.registry) {
+			const item = new vscode.TreeItem('Templates unavailable. Click refresh to retry.')
+			item.iconPath = new vscode.ThemeIcon('warning')
+			return [item]
+		}
+
+		// Group templates by category
+		const categories = {}
+		Object.entries(this.registry.templates).forEach(([key, template]) => {
+			const category = template.category || 'Other'
+			if (!categories[category]) {
+				categories[category] = []
+			}
+			categories[category].push({ key, ...template })
+		})
+
+		return Object.keys(categories)
+			.sort()
+			.map((category) => {
+				const templates = categories[category].sort((a, b) => a.name.localeCompare(b.name))
+				const item = new vscode.TreeItem(
+					category,
+					vscode.TreeItemCollapsibleState.Collapsed
+				)
+				item.contextValue = 'category'
+				item.description = `${templates.length}`
+				item.iconPath = new vscode.ThemeIcon('folder')
+				item.templates = templates
+				return item
+			})
+	}
+}
+
+function createTemplateItem(template) {
+	const item = new vscode.TreeItem(
+		`${template.icon} ${template.name}`,
+		vscode.TreeItemCollapsibleState.Collapsed
+	)
+	item.contextValue = 'template'
+	item.description = (template.tags || []).join(', ')
+	item.tooltip = createTemplateTooltip(template)
+	item.template = template
+	item.templateKey = template.key
+	return item
+}
+
+function createScopeItem(template, scope) {
+	const scopeConfig = PROJECT_SCOPES[scope] || {
+		icon: '📦',
+		description: `${scope} configuration`,
+	}
+
+	const item = new vscode.TreeItem(
+		`${scopeConfig.icon} ${scope.charAt(0).toUpperCase() + scope.slice(1)}`,
+		vscode.TreeItemCollapsibleState.None
+	)
+	item.contextValue = 'scope'
+	item.description = scopeConfig.description
+	item.tooltip = scopeConfig.features ? `Features: ${scopeConfig.features.join(', ')}` : ''
+	item.template = template
+	item.templateKey = template.key
+	item.scope = scope
+	return item
+}
+
+// Templates that list no scopes offer all of them, as in the project wizard
+function getTemplateScopes(template) {
+	return template.scopes || ['minimal', 'standard', 'enterprise']
+}
+
+function createTemplateTooltip(template) {
+	const tooltip = new vscode.MarkdownString()
+	tooltip.appendMarkdown(`**${template.icon} ${template.name}**\n\n`)
+	tooltip.appendMarkdown(`${template.description}\n\n`)
+	tooltip.appendMarkdown(`- Category: ${template.category || 'Other'}\n`)
+	tooltip.appendMarkdown(`- Tags: ${(template.tags || []).join(', ')}\n`)
+	tooltip.appendMarkdown(`- Scopes: ${getTemplateScopes(template).join(', ')}\n`)
+	if (template.sourceLabel) {
+		tooltip.appendMarkdown(`- Source: ${template.sourceLabel}\n`)
+	}
+	if (template.lastUpdated) {
+		tooltip.appendMarkdown(
+			`- Updated: ${new Date(template.lastUpdated).toLocaleDateString()}\n`
+		)
+	}
+	return tooltip
+}
+
+async function listTemplates() {
+	await vscode.commands.executeCommand(`${TEMPLATES_VIEW_ID}.focus`)
+}
+
+module.exports = { TEMPLATES_VIEW_ID, TemplateTreeProvider, listTemplates }
@@ -0,0 +1,52 @@
+const vscode = require('vscode')
+const { PROJECT_SCOPES } = require('../utils/templateRegistry')
+const { DEFAULT_SOURCE, getSourceById, getTemplateSourceUrl } = require('../utils/templateSources')
+
+// Preview a template from the template browser as a rendered markdown document
+async function openTemplate(item) {
+	if (!item || !item.template) {
+		vscode.window.showWarningMessage(
+			'Select a template in the Kickstart Hub view to preview it.'
+		)
+		return
+	}
+
+	const template = item.template
+	const source = getSourceById(template.source) || DEFAULT_SOURCE
+	const scopes = item.scope ? [item.scope] : template.scopes || []
+
+	const lines = [
+		`# ${template.icon} ${template.name}`,
+		'',
+		template.description,
+		'',
+		`- **Key:** \`${template.key}\``,
+		`- **Category:** ${template.category || 'Other'}`,
+		`- **Tags:** ${(template.tags || []).join(', ')}`,
+		`- **Source:** ${source.label}`,
+	]
+	if (template.version) lines.push(`- **Version:** ${template.version}`)
+	if (template.lastUpdated) {
+		lines.push(`- **Last Updated:** ${new Date(template.lastUpdated).toLocaleString()}`)
+	}
+	lines.push('', '## Scopes', '')
+
+	for (const scope of scopes) {
+		const scopeConfig = PROJECT_SCOPES[scope] || { icon: '📦', description: '', features: [] }
+		const sourceUrl = getTemplateSourceUrl(source, template.key, scope)
+
+		lines.push(`### ${scopeConfig.icon} ${scope}`, '')
+		if (scopeConfig.description) lines.push(scopeConfig.description, '')
+		scopeConfig.features.forEach((feature) => lines.push(`- ${feature}`))
+		lines.push('')
+		if (sourceUrl) lines.push(`[View template source](${sourceUrl})`, '')
+	}
+
+	const document = await vscode.workspace.openTextDocument({
+		language: 'markdown',
+		content: lines.join('\n'),
+	})
+	await vscode.commands.executeCommand('markdown.showPreview', document.uri)
+}
+
+module.exports = { openTemplate }
@@ -0,0 +1,161 @@
+const vscode = require('vscode')
+const { getFrameworkByKey } = require('../utils/templateRegistry')
+const { sanitizeAdditionalConfig } = require('../utils/projectOptions')
+const { loadTemplateManifest, resolveVariables } = require('../utils/templateManifest')
+
+const PRESETS_SETTING = 'presets'
+
+// Presets from workspace settings first, then user settings; a workspace preset hides a user
+// preset with the same name
+function getPresets() {
+	const inspected = vscode.workspace.getConfiguration('kickstarthub').inspect(PRESETS_SETTING)
+	const presets = [
+		...(inspected?.workspaceValue || []).map((preset) => ({ ...preset, location: 'Workspace' })),
+		...(inspected?.globalValue || []).map((preset) => ({ ...preset, location: 'User' })),
+	]
+
+	const seen = new Set()
+	return presets.filter((preset) => {
+		if (!preset || !preset.name || !preset.framework || seen.has(preset.name)) return false
+		seen.add(preset.name)
+		return true
+	})
+}
+
+// Let the user pick a preset and resolve it against the registry. Resolves to
+// { framework, scope, additionalConfig } or null
+async function selectPreset() {
+	const presets = getPresets()
+	if (presets.length === 0) {
+		const action = await vscode.window.showInformationMessage(
+			'No presets saved yet. Create a project and choose "Save as Preset" to reuse its configuration.',
+			'Create Project'
+		)
+		if (action) vscode.commands.executeCommand('kickstarthub.createProject')
+		return null
+	}
+
+	const selected = await vscode.window.showQuickPick(
+		presets.map((preset) => ({
+			label: `$(bookmark) ${preset.name}`,
+			description: `${preset.framework} · ${preset.scope} · ${preset.location}`,
+			detail: describeOptions(preset.options || {}),
+			preset,
+		})),
+		{
+			placeHolder: 'Select a preset to create a project from',
+			ignoreFocusOut: true,
+			matchOnDescription: true,
+			matchOnDetail: true,
+		}
+	)
+	if (!selected) return null
+
+	const { preset } = selected
+	const framework = await getFrameworkByKey(preset.framework)
+	if (!framework) {
+		throw new Error(
+			`Preset "${preset.name}" uses template "${preset.framework}", which is not in any configured template source.`
+		)
+	}
+
+	const scopes = framework.scopes || ['minimal', 'standard', 'enterprise']
+	if (!scopes.includes(preset.scope)) {
+		throw new Error(
+			`Preset "${preset.name}" uses scope "${preset.scope}", which ${framework.name} does not provide.`
+		)
+	}
+
+	// The manifest enables sections a template supports and checks its prompt values
+	const manifest = await loadTemplateManifest(framework, preset.scope)
+	const additionalConfig = sanitizeAdditionalConfig(framework, preset.options || {}, manifest)
+	if (manifest) {
+		additionalConfig.variables = resolveVariables(manifest, additionalConfig.variables)
+	}
+
+	return { framework, scope: preset.scope, additionalConfig }
+}
+
+// Store a completed configuration under a name in user or workspace settings
+async function savePreset(framework, scope, additionalConfig) {
+	const existingNames = getPresets().map((preset) => preset.name)
+	const name = await vscode.window.showInputBox({
+		prompt: 'Name this preset',
+		placeHolder: `${framework.name} ${scope}`,
+		ignoreFocusOut: true,
+		validateInput: (value) =>
+			!value || value.trim().length === 0 ? 'Preset name cannot be empty' : null,
+	})
+	if (!name) return false
+
+	const targets = [
+		{
+			label: '$(account) User Settings',
+			description: 'Available in every workspace',
+			target: vscode.ConfigurationTarget.Global,
+		},
+	]
+	if (vscode.workspace.workspaceFolders?.length) {
+		targets.push({
+			label: '$(folder) Workspace Settings',
+			description: 'Shared with everyone who opens this workspace',
+			target: vscode.ConfigurationTarget.Workspace,
+		})
+	}
+
+	const selectedTarget =
+		targets.length === 1
+			? targets[0]
+			: await vscode.window.showQuickPick(targets, {
+					placeHolder: 'Where should the preset be saved?',
+					ignoreFocusOut: true,
+			  })
+	if (!selectedTarget) return false
+
+	const presetName = name.trim()
+	if (existingNames.includes(presetName)) {
+		const overwrite = await vscode.window.showWarningMessage(
+			`A preset named "${presetName}" already exists. Replace it?`,
+			{ modal: true },
+			'Replace'
+		)
+		if (overwrite !== 'Replace') return false
+	}
+
+	const config = vscode.workspace.getConfiguration('kickstarthub')
+	const inspected = config.inspect(PRESETS_SETTING)
+	const current =
+		(selectedTarget.target === vscode.ConfigurationTarget.Workspace
+			? inspected?.workspaceValue
+			: inspected?.globalValue) || []
+
+	const preset = {
+		name: presetName,
+		framework: framework.key,
+		scope,
+		options: sanitizeAdditionalConfig(
+			framework,
+			additionalConfig,
+			await loadTemplateManifest(framework, scope)
+		),
+	}
+	await config.update(
+		PRESETS_SETTING,
+		[...current.filter((existing) => existing.name !== presetName), preset],
+		selectedTarget.target
+	)
+
+	vscode.window.showInformationMessage(
+		`💾 Saved preset "${presetName}". Use "KickstartHub: Create Project from Preset" to reuse it.`
+	)
+	return true
+}
+
+function describeOptions(options) {
+	return Object.values(options)
+		.flatMap((value) => (Array.isArray(value) ? value : [value]))
+		.filter((value) => value && value !== 'none')
+		.join(' · ')
+}
+
+module.exports = { getPresets, selectPreset, savePreset }
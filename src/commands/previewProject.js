@@ -0,0 +1,133 @@
+const vscode = require('vscode')
+const { decodeText } = require('../utils/fileUtils')
+
+const PREVIEW_SCHEME = 'kickstarthub-preview'
+
+// Keep the last few previews around so their documents stay readable while open
+const MAX_PREVIEWS = 5
+
+const previews = new Map()
+let nextPreviewId = 1
+
+// Serves preview documents read-only: kickstarthub-preview:/<project> (preview)?<id> renders the
+// file tree, kickstarthub-preview:/<project>/<path>?<id> a single file
+class PreviewContentProvider {
+	provideTextDocumentContent(uri) {
+		const preview = previews.get(uri.query)
+		if (!preview) {
+			return 'This preview has expired. Preview the project again to see its files.'
+		}
+
+		if (uri.path === getTreePath(preview)) {
+			return renderFileTree(preview)
+		}
+
+		const relativePath = uri.path.slice(`/${preview.projectName}/`.length)
+		const file = preview.files.find((entry) => entry.path === relativePath)
+		if (!file) return `${relativePath} is not part of this preview.`
+
+		const decoded = decodeText(file.content)
+		return decoded
+			? decoded.text
+			: `(binary file, ${formatSize(file.content.length)}; not shown in the preview)`
+	}
+}
+
+function registerPreviewProvider() {
+	return vscode.workspace.registerTextDocumentContentProvider(
+		PREVIEW_SCHEME,
+		new PreviewContentProvider()
+	)
+}
+
+// Open the generated file tree and let the user browse files until they create the project or
+// walk away. Resolves to true when they chose to create it
+async function showProjectPreview(projectName, files) {
+	const preview = { id: String(nextPreviewId++), projectName, files }
+	previews.set(preview.id, preview)
+	if (previews.size > MAX_PREVIEWS) {
+		previews.delete(previews.keys().next().value)
+	}
+
+	await openPreviewDocument(preview, getTreePath(preview))
+
+	while (true) {
+		const action = await vscode.window.showInformationMessage(
+			`Preview of "${projectName}": ${files.length} file(s). Nothing has been written to disk yet.`,
+			'Create Project',
+			'Open File...'
+		)
+
+		if (action !== 'Open File...') return action === 'Create Project'
+
+		const picked = await vscode.window.showQuickPick(
+			files.map((file) => ({
+				label: file.path,
+				description: formatSize(file.content.length),
+			})),
+			{ placeHolder: 'Select a generated file to preview', matchOnDescription: true }
+		)
+		if (picked) {
+			await openPreviewDocument(preview, `/${projectName}/${picked.label}`)
+		}
+	}
+}
+
+async function openPreviewDocument(preview, uriPath) {
+	const uri = vscode.Uri.from({ scheme: PREVIEW_SCHEME, path: uriPath, query: preview.id })
+	const document = await vscode.workspace.openTextDocument(uri)
+	await vscode.window.showTextDocument(document, { preview: false, preserveFocus: true })
+}
+
+function getTreePath(preview) {
+	return `/${preview.projectName} (preview)`
+}
+
+function renderFileTree(preview) {
+	// Nested { name: node } objects, files are leaves holding their size
+	const root = {}
+	for (const file of preview.files) {
+		const parts = file.path.split('/')
+		let node = root
+		parts.slice(0, -1).forEach((part) => {
+			node[part] = node[part] || {}
+			node = node[part]
+		})
+		node[parts[parts.length - 1]] = file.content.length
+	}
+
+	const lines = [`${preview.projectName}/`]
+	const renderNode = (node, prefix) => {
+		// Folders first, then files, each alphabetically
+		const names = Object.keys(node).sort((a, b) => {
+			const aIsDir = typeof node[a] === 'object'
+			const bIsDir = typeof node[b] === 'object'
+			return aIsDir === bIsDir ? a.localeCompare(b) : aIsDir ? -1 : 1
+		})
+
+		names.forEach((name, index) => {
+			const isLast = index === names.length - 1
+			const value = node[name]
+			const branch = isLast ? '└── ' : '├── '
+
+			if (typeof value === 'object') {
+				lines.push(`${prefix}${branch}${name}/`)
+				renderNode(value, prefix + (isLast ? '    ' : '│   '))
+			} else {
+				lines.push(`${prefix}${branch}${name} (${formatSize(value)})`)
+			}
+		})
+	}
+	renderNode(root, '')
+
+	lines.push('', `${preview.files.length} file(s). Use "Open File..." to view a file's contents.`)
+	return lines.join('\n')
+}
+
+function formatSize(bytes) {
+	if (bytes < 1024) return `${bytes} B`
+	if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+	return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+module.exports = { registerPreviewProvider, showProjectPreview }
@@ -0,0 +1,324 @@
+const vscode = require('vscode')
+const path = require('path')
+const os = require('os')
+const fs = require('fs-extra')
+const crypto = require('crypto')
+const {
+	getTemplateRegistry,
+	getFrameworkByKey,
+	getOfflineScopes,
+	isRegistryOffline,
+	isSourceOffline,
+	getExtensionPath,
+} = require('../utils/templateRegistry')
+const {
+	getConfigurationSections,
+	validateProjectName,
+	getAvailableScopes,
+	sanitizeAdditionalConfig,
+} = require('../utils/projectOptions')
+const { loadTemplateManifest, resolveVariables } = require('../utils/templateManifest')
+const { savePreset } = require('./presets')
+
+const WIZARD_VIEW_TYPE = 'kickstarthub.projectWizard'
+
+let activePanel = null
+
+// Collect every project setting in a single webview form with back/forward navigation.
+// Resolves to { framework, scope, projectName, targetLocation, additionalConfig, action } with
+// action 'Create Project' or 'Preview', or null when the wizard is closed
+async function showProjectWizard(options = {}) {
+	const registry = await getTemplateRegistry()
+	if (!registry) {
+		throw new Error(
+			'Template registry not available. Please check your internet connection and try again.'
+		)
+	}
+
+	// Only one wizard at a time; a second request closes the first
+	if (activePanel) activePanel.dispose()
+
+	const mediaUri = vscode.Uri.file(path.join(getExtensionPath(), 'media'))
+	const panel = vscode.window.createWebviewPanel(
+		WIZARD_VIEW_TYPE,
+		'Create Project',
+		vscode.ViewColumn.Active,
+		{ enableScripts: true, retainContextWhenHidden: true, localResourceRoots: [mediaUri] }
+	)
+	activePanel = panel
+	panel.webview.html = getWizardHtml(panel.webview, mediaUri)
+
+	return new Promise((resolve) => {
+		let settled = false
+		const finish = (result) => {
+			if (settled) return
+			settled = true
+			resolve(result)
+			panel.dispose()
+		}
+
+		panel.onDidDispose(() => {
+			if (activePanel === panel) activePanel = null
+			finish(null)
+		})
+
+		panel.webview.onDidReceiveMessage(async (message) => {
+			try {
+				const result = await handleMessage(panel.webview, registry, options, message)
+				if (result) finish(result)
+			} catch (error) {
+				panel.webview.postMessage({ type: 'error', message: error.message })
+				console.error('KickStart Hub Error:', error)
+			}
+		})
+	})
+}
+
+async function handleMessage(webview, registry, options, message) {
+	switch (message.type) {
+		case 'ready': {
+			const locations = getLocationShortcuts()
+			webview.postMessage({
+				type: 'init',
+				frameworks: await getFrameworkChoices(registry),
+				offline: isRegistryOffline(),
+				locations,
+				initial: {
+					frameworkKey: options.frameworkKey,
+					scope: options.scope,
+					targetLocation: locations.workspace || locations.default,
+				},
+			})
+			return null
+		}
+
+		case 'selectFramework': {
+			const framework = await getFrameworkByKey(message.frameworkKey)
+			if (!framework) return null
+
+			webview.postMessage({
+				type: 'frameworkDetails',
+				frameworkKey: framework.key,
+				scopes: await getAvailableScopes(framework),
+			})
+			return null
+		}
+
+		// Options depend on the scope, since each template folder can ship its own manifest
+		case 'selectScope': {
+			const framework = await getFrameworkByKey(message.frameworkKey)
+			if (!framework) return null
+
+			const manifest = await loadTemplateManifest(framework, message.scope)
+			webview.postMessage({
+				type: 'scopeDetails',
+				frameworkKey: framework.key,
+				scope: message.scope,
+				sections: getConfigurationSections(framework, manifest).map(
+					({ key, title, canPickMany, options: sectionOptions }) => ({
+						key,
+						title,
+						canPickMany: Boolean(canPickMany),
+						options: sectionOptions,
+					})
+				),
+				prompts: manifest ? manifest.prompts : [],
+			})
+			return null
+		}
+
+		case 'validate':
+			await postValidation(webview, message)
+			return null
+
+		case 'browseLocation': {
+			const targetUri = await vscode.window.showOpenDialog({
+				canSelectFiles: false,
+				canSelectFolders: true,
+				canSelectMany: false,
+				openLabel: 'Select target folder',
+				title: 'Choose where to create your project',
+			})
+			if (targetUri && targetUri.length > 0) {
+				webview.postMessage({ type: 'location', targetLocation: targetUri[0].fsPath })
+			}
+			return null
+		}
+
+		case 'submit':
+			return submitSettings(webview, message)
+
+		case 'savePreset': {
+			const framework = await getFrameworkByKey(message.frameworkKey)
+			if (framework && message.scope) {
+				await savePreset(framework, message.scope, message.additionalConfig || {})
+			}
+			return null
+		}
+
+		default:
+			return null
+	}
+}
+
+async function submitSettings(webview, message) {
+	const validation = await postValidation(webview, message)
+	const framework = await getFrameworkByKey(message.frameworkKey)
+	if (validation.nameError || validation.locationError || !framework || !message.scope) {
+		return null
+	}
+
+	const manifest = await loadTemplateManifest(framework, message.scope)
+	const additionalConfig = sanitizeAdditionalConfig(
+		framework,
+		message.additionalConfig || {},
+		manifest
+	)
+	// Reports the first invalid template option to the form
+	if (manifest) {
+		additionalConfig.variables = resolveVariables(manifest, additionalConfig.variables)
+	}
+
+	// Same behavior as "Use Default Location" in the QuickPick flow
+	await fs.ensureDir(message.targetLocation)
+
+	return {
+		framework,
+		scope: message.scope,
+		projectName: message.projectName.trim(),
+		targetLocation: message.targetLocation,
+		additionalConfig,
+		action: message.action === 'preview' ? 'Preview' : 'Create Project',
+	}
+}
+
+// Validation results echo the values they were computed for, so the webview can ignore
+// answers to input that has changed since
+async function postValidation(webview, { projectName, targetLocation }) {
+	const validation = await validateSettings({ projectName, targetLocation })
+	webview.postMessage({ type: 'validation', projectName, targetLocation, ...validation })
+	return validation
+}
+
+async function validateSettings({ projectName, targetLocation }) {
+	const isAbsolute = Boolean(targetLocation) && path.isAbsolute(targetLocation)
+	const nameError = validateProjectName(
+		projectName || '',
+		isAbsolute ? targetLocation : undefined
+	)
+	let locationError = null
+	let locationNotice = null
+
+	if (!isAbsolute) {
+		locationError = 'Choose an absolute folder path'
+	} else if (!nameError && (await fs.pathExists(path.join(targetLocation, projectName.trim())))) {
+		locationNotice = `"${projectName.trim()}" already exists there; you will be asked to overwrite or merge.`
+	}
+
+	return { nameError, locationError, locationNotice }
+}
+
+async function getFrameworkChoices(registry) {
+	const offline = isRegistryOffline()
+	const choices = []
+
+	for (const [key, template] of Object.entries(registry.templates)) {
+		const offlineScopes = await getOfflineScopes({ key, ...template })
+		const available = !offline || offlineScopes.length > 0 || !isSourceOffline(template.source)
+		if (!available) continue
+
+		choices.push({
+			key,
+			name: template.name,
+			icon: template.icon,
+			description: template.description,
+			category: template.category || 'Other',
+			tags: template.tags || [],
+			sourceLabel: template.sourceLabel,
+			offline: offlineScopes.length > 0,
+		})
+	}
+
+	return choices.sort((a, b) => a.name.localeCompare(b.name))
+}
+
+function getLocationShortcuts() {
+	const workspaceFolder = vscode.workspace.workspaceFolders?.[0]
+	return {
+		workspace: workspaceFolder ? workspaceFolder.uri.fsPath : null,
+		default: path.join(os.homedir(), 'Projects'),
+	}
+}
+
+function getWizardHtml(webview, mediaUri) {
+	const nonce = crypto.randomBytes(16).toString('base64')
+	const scriptUri = webview.asWebviewUri(vscode.Uri.joinPath(mediaUri, 'wizard.js'))
+	const styleUri = webview.asWebviewUri(vscode.Uri.joinPath(mediaUri, 'wizard.css'))
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="UTF-8">
+	<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<link href="${styleUri}" rel="stylesheet">
+	<title>Create Project</title>
+</head>
+<body>
+	<main class="wizard">
+		<nav class="steps" id="steps"></nav>
+		<div class="layout">
+			<form class="form" id="form" novalidate>
+				<section class="step" data-step="0">
+					<h2>Template</h2>
+					<input type="search" id="frameworkFilter" placeholder="Filter templates by name, category or tag">
+					<div class="framework-list" id="frameworkList" role="listbox"></div>
+					<h3>Scope</h3>
+					<div class="choice-list" id="scopeList"></div>
+				</section>
+				<section class="step" data-step="1" hidden>
+					<h2>Project</h2>
+					<label for="projectName">Project name</label>
+					<input type="text" id="projectName" placeholder="my-awesome-project" autocomplete="off">
+					<p class="message error" id="nameError"></p>
+					<label for="targetLocation">Location</label>
+					<div class="row">
+						<input type="text" id="targetLocation">
+						<button type="button" class="secondary" id="browseLocation">Browse...</button>
+					</div>
+					<div class="row shortcuts">
+						<button type="button" class="link" id="useWorkspace">Current workspace</button>
+						<button type="button" class="link" id="useDefault">Default location</button>
+					</div>
+					<p class="message error" id="locationError"></p>
+					<p class="message notice" id="locationNotice"></p>
+				</section>
+				<section class="step" data-step="2" hidden>
+					<h2>Options</h2>
+					<div id="sections"></div>
+				</section>
+				<section class="step" data-step="3" hidden>
+					<h2>Review</h2>
+					<p>Check the summary, then create the project or preview the files it will contain.</p>
+				</section>
+				<p class="message error" id="formError"></p>
+				<div class="actions">
+					<button type="button" class="secondary" id="back">Back</button>
+					<button type="button" id="next">Next</button>
+					<button type="button" class="secondary" id="savePreset" hidden>Save as Preset</button>
+					<button type="button" class="secondary" id="preview" hidden>Preview</button>
+					<button type="button" id="create" hidden>Create Project</button>
+				</div>
+			</form>
+			<aside class="summary">
+				<h2>Summary</h2>
+				<dl id="summary"></dl>
+			</aside>
+		</div>
+	</main>
+	<script nonce="${nonce}" src="${scriptUri}"></script>
+</body>
+</html>`
+}
+
+module.exports = { showProjectWizard }
@@ -0,0 +1,96 @@
+const vscode = require('vscode')
+const {
+	updateTemplateRegistry,
+	getTemplateRegistry,
+	diffRegistries,
+} = require('../utils/templateRegistry')
+const { purgeTemplateCache } = require('../utils/templateCache')
+const { isGitHubAuthError } = require('../utils/githubAuth')
+const { showGitHubAccessError } = require('./githubAuthentication')
+
+let outputChannel = null
+
+// Force a registry download regardless of cache age, report what changed and
+// drop cached template contents that are now stale
+async function refreshTemplates() {
+	try {
+		const previousRegistry = await getTemplateRegistry()
+
+		await updateTemplateRegistry({ force: true })
+
+		const currentRegistry = await getTemplateRegistry()
+		const diff = diffRegistries(previousRegistry, currentRegistry)
+
+		const changedKeys = new Set([
+			...diff.removed,
+			...diff.scopesChanged.map((change) => change.key),
+			...diff.updated.map((change) => change.key),
+		])
+		const purged = await purgeTemplateCache([...changedKeys])
+
+		reportDiff(diff, purged)
+		return diff
+	} catch (error) {
+		if (isGitHubAuthError(error)) {
+			showGitHubAccessError(`Error refreshing templates: ${error.message}`)
+		} else {
+			vscode.window.showErrorMessage(`Error refreshing templates: ${error.message}`)
+		}
+		console.error('KickStart Hub Error:', error)
+		return null
+	}
+}
+
+async function reportDiff(diff, purged) {
+	const summary = []
+	if (diff.added.length > 0) summary.push(`${diff.added.length} added`)
+	if (diff.removed.length > 0) summary.push(`${diff.removed.length} removed`)
+	if (diff.scopesChanged.length > 0) summary.push(`${diff.scopesChanged.length} scope changes`)
+	if (diff.updated.length > 0) summary.push(`${diff.updated.length} updated`)
+
+	if (summary.length === 0) {
+		vscode.window.showInformationMessage('✅ Templates refreshed. Everything is up to date.')
+		return
+	}
+
+	const channel = getOutputChannel()
+	channel.clear()
+	channel.appendLine(`Template registry refreshed at ${new Date().toLocaleString()}`)
+	channel.appendLine('')
+
+	diff.added.forEach((key) => channel.appendLine(`+ ${key}`))
+	diff.removed.forEach((key) => channel.appendLine(`- ${key}`))
+	diff.scopesChanged.forEach(({ key, added, removed }) => {
+		const changes = [
+			...added.map((scope) => `+${scope}`),
+			...removed.map((scope) => `-${scope}`),
+		]
+		channel.appendLine(`~ ${key}: scopes ${changes.join(' ')}`)
+	})
+	diff.updated.forEach(({ key, from, to }) => {
+		channel.appendLine(`~ ${key}: lastUpdated ${from || 'n/a'} -> ${to || 'n/a'}`)
+	})
+
+	if (purged.length > 0) {
+		channel.appendLine('')
+		channel.appendLine(`Purged cached template contents: ${purged.join(', ')}`)
+	}
+
+	const action = await vscode.window.showInformationMessage(
+		`✅ Templates refreshed: ${summary.join(', ')}.`,
+		'Show Details'
+	)
+
+	if (action === 'Show Details') {
+		channel.show()
+	}
+}
+
+function getOutputChannel() {
+	if (!outputChannel) {
+		outputChannel = vscode.window.createOutputChannel('Kickstart Hub')
+	}
+	return outputChannel
+}
+
+module.exports = { refreshTemplates }
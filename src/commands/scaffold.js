@@ -0,0 +1,14 @@
+const { scaffold } = require('../utils/scaffold')
+
+// `kickstarthub.scaffold` command: executeCommand('kickstarthub.scaffold', options) resolves to
+// the created project path
+async function scaffoldCommand(options) {
+	if (!options) {
+		throw new Error(
+			'kickstarthub.scaffold expects an options object. Use "KickstartHub: Create New Project" to create a project interactively.'
+		)
+	}
+	return scaffold(options)
+}
+
+module.exports = { scaffoldCommand }
@@ -14,24 +14,102 @@
 // }
 
 const vscode = require('vscode')
+const path = require('path')
 const { createProject } = require('./commands/createProject')
-// const { listTemplates } = require('./commands/listTemplates')
-// const { refreshTemplates } = require('./commands/refreshTemplates')
-// const { openTemplate } = require('./commands/openTemplate')
+const { scaffoldCommand } = require('./commands/scaffold')
+const {
+	TEMPLATES_VIEW_ID,
+	TemplateTreeProvider,
+	listTemplates,
+} = require('./commands/listTemplates')
+const { refreshTemplates } = require('./commands/refreshTemplates')
+const { openTemplate } = require('./commands/openTemplate')
+const { clearTemplateCache } = require('./commands/clearTemplateCache')
+const { addLocalTemplateSource } = require('./commands/addLocalTemplateSource')
+const { signInToGitHub, setGitHubToken } = require('./commands/githubAuthentication')
+const { registerPreviewProvider } = require('./commands/previewProject')
+const { scaffold } = require('./utils/scaffold')
+const { initializeStorage } = require('./utils/storage')
+const { setHost } = require('./utils/host')
+const { createVSCodeHost, watchLocalSources } = require('./vscodeHost')
+
+async function activate(context) {
+	// The scaffolding engine reads settings, credentials and progress through the VS Code API
+	setHost(createVSCodeHost(context))
+
+	// Registry and template cache live in globalStorageUri, not the extension install folder
+	try {
+		await initializeStorage(
+			context.globalStorageUri.fsPath,
+			path.join(context.extensionPath, 'cache')
+		)
+	} catch (error) {
+		console.error('Failed to initialize KickStart Hub storage:', error)
+	}
+
+	// Template browser in the activity bar
+	const templateTreeProvider = new TemplateTreeProvider()
+	const templateTreeView = vscode.window.createTreeView(TEMPLATES_VIEW_ID, {
+		treeDataProvider: templateTreeProvider,
+		showCollapseAll: true,
+	})
+	context.subscriptions.push(templateTreeView)
+
+	// Read-only documents for dry-run project previews
+	context.subscriptions.push(registerPreviewProvider())
+
+	// Keep the browser in sync with local folder sources and template source settings
+	let localSourceWatcher = watchLocalSources(() => templateTreeProvider.refresh())
+	context.subscriptions.push(
+		{ dispose: () => localSourceWatcher.dispose() },
+		vscode.workspace.onDidChangeConfiguration((event) => {
+			if (
+				event.affectsConfiguration('kickstarthub.templateSources') ||
+				event.affectsConfiguration('kickstarthub.includeDefaultSource')
+			) {
+				localSourceWatcher.dispose()
+				localSourceWatcher = watchLocalSources(() => templateTreeProvider.refresh())
+				templateTreeProvider.refresh()
+			}
+		})
+	)
 
-function activate(context) {
 	// Register all commands
 	const commands = [
-		vscode.commands.registerCommand('kickstarthub.createProject', createProject),
-		vscode.commands.registerCommand('kickstarthub.listTemplates', createProject),
-		vscode.commands.registerCommand('kickstarthub.refreshTemplates', createProject),
-		vscode.commands.registerCommand('kickstarthub.openTemplate', createProject),
+		vscode.commands.registerCommand('kickstarthub.createProject', () => createProject()),
+		vscode.commands.registerCommand('kickstarthub.createFromPreset', () =>
+			createProject({ fromPreset: true })
+		),
+		vscode.commands.registerCommand('kickstarthub.createFromTemplate', (item) =>
+			createProject({ frameworkKey: item?.templateKey, scope: item?.scope })
+		),
+		vscode.commands.registerCommand('kickstarthub.scaffold', scaffoldCommand),
+		vscode.commands.registerCommand('kickstarthub.listTemplates', listTemplates),
+		vscode.commands.registerCommand('kickstarthub.refreshTemplates', async () => {
+			await refreshTemplates()
+			templateTreeProvider.refresh()
+		}),
+		vscode.commands.registerCommand('kickstarthub.openTemplate', openTemplate),
+		vscode.commands.registerCommand(
+			'kickstarthub.addLocalTemplateSource',
+			addLocalTemplateSource
+		),
+		vscode.commands.registerCommand('kickstarthub.signInToGitHub', signInToGitHub),
+		vscode.commands.registerCommand('kickstarthub.setGitHubToken', setGitHubToken),
+		vscode.commands.registerCommand('kickstarthub.clearTemplateCache', async () => {
+			if (await clearTemplateCache()) {
+				templateTreeProvider.refresh()
+			}
+		}),
 	]
 
 	commands.forEach((command) => context.subscriptions.push(command))
 
 	// Show welcome message on first install
 	showWelcomeMessage(context)
+
+	// Public API, returned by vscode.extensions.getExtension('Fahad-Ismail.kickstarthub').activate()
+	return { scaffold }
 }
 
 async function showWelcomeMessage(context) {
@@ -40,8 +118,8 @@ async function showWelcomeMessage(context) {
 	if (!hasShownWelcome) {
 		const action = await vscode.window.showInformationMessage(
 			'🚀 Welcome to KickStart Hub! Ready to create your first project?',
-			'Create Project'
-			// 'View Templates'
+			'Create Project',
+			'View Templates'
 		)
 
 		if (action === 'Create Project') {
@@ -0,0 +1,58 @@
+// Helpers for cancellation tokens shaped like vscode.CancellationToken
+// ({ isCancellationRequested, onCancellationRequested }), kept free of the vscode module
+
+function createCancelledError(message = 'Project creation was cancelled.') {
+	return Object.assign(new Error(message), { cancelled: true })
+}
+
+function isCancelledError(error) {
+	return Boolean(error && (error.cancelled || error.name === 'AbortError'))
+}
+
+function throwIfCancelled(token) {
+	if (token && token.isCancellationRequested) {
+		throw createCancelledError()
+	}
+}
+
+// AbortSignal that fires with the token, for https requests and child processes
+function toAbortSignal(token) {
+	const controller = new AbortController()
+	if (!token) return controller.signal
+
+	if (token.isCancellationRequested) {
+		controller.abort()
+	} else {
+		token.onCancellationRequested(() => controller.abort())
+	}
+	return controller.signal
+}
+
+// Token and trigger for callers outside VS Code, such as the CLI cancelling on Ctrl+C
+function createCancellationSource() {
+	const listeners = new Set()
+	const token = {
+		isCancellationRequested: false,
+		onCancellationRequested(listener) {
+			listeners.add(listener)
+			return { dispose: () => listeners.delete(listener) }
+		},
+	}
+
+	return {
+		token,
+		cancel() {
+			if (token.isCancellationRequested) return
+			token.isCancellationRequested = true
+			listeners.forEach((listener) => listener())
+		},
+	}
+}
+
+module.exports = {
+	createCancelledError,
+	createCancellationSource,
+	isCancelledError,
+	throwIfCancelled,
+	toAbortSignal,
+}
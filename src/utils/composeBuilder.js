@@ -0,0 +1,255 @@
+const YAML = require('yaml')
+const { DATASTORES } = require('./datastores')
+
+// Builds one docker-compose.yml out of the services the selected options need. Each option adds
+// its services to the same compose object, so they share a network and the app service can
+// depend on the datastores and reach them by service name
+const NETWORK = 'app-network'
+
+function createComposeFile() {
+	return { services: {}, volumes: {}, networks: { [NETWORK]: { driver: 'bridge' } } }
+}
+
+// Add a service to the shared network, with the named volumes it mounts. Adding a service that is
+// already there merges the two: maps are combined and lists keep every distinct entry
+function addService(compose, name, service, volumes = []) {
+	compose.services[name] = mergeService(compose.services[name] || {}, {
+		...service,
+		networks: [NETWORK],
+	})
+	for (const volume of volumes) {
+		compose.volumes[volume] = compose.volumes[volume] || null
+	}
+	return compose
+}
+
+function mergeService(existing, addition) {
+	const merged = { ...existing }
+	for (const [key, value] of Object.entries(addition)) {
+		const current = merged[key]
+		if (Array.isArray(current) && Array.isArray(value)) {
+			merged[key] = [...new Set([...current, ...value])]
+		} else if (isMap(current) && isMap(value)) {
+			merged[key] = { ...current, ...value }
+		} else {
+			merged[key] = value
+		}
+	}
+	return merged
+}
+
+function isMap(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Datastores that run in a container, out of parseDatastores() results. File-based ones like
+// SQLite are skipped
+function getContainerDatastores(datastores) {
+	return datastores.filter(({ type }) => DATASTORES[type].image)
+}
+
+function addDatastoreService(compose, type, projectName) {
+	const datastore = DATASTORES[type]
+	const volume = `${datastore.service}_data`
+	const service = {
+		image: datastore.image,
+		...(datastore.command && { command: datastore.command }),
+		environment: datastore.environment(projectName),
+		ports: [`${datastore.port}:${datastore.port}`],
+		volumes: [`${volume}:${datastore.dataPath}`],
+		healthcheck: {
+			test: datastore.healthcheck(projectName),
+			interval: '10s',
+			timeout: '5s',
+			retries: 5,
+		},
+	}
+	if (Object.keys(service.environment).length === 0) delete service.environment
+
+	return addService(compose, datastore.service, service, [volume])
+}
+
+// The project's own image. It starts once every datastore reports healthy and reaches them by
+// service name rather than localhost
+function addAppService(compose, { port, environment = {}, datastores = [], projectName }) {
+	const connections = datastores.map(({ type, role }) =>
+		DATASTORES[type].connection(DATASTORES[type].service, projectName, role)
+	)
+	const service = {
+		build: { context: '.', dockerfile: 'Dockerfile' },
+		ports: [`${port}:${port}`],
+		environment: Object.assign({}, environment, ...connections),
+		volumes: ['./logs:/app/logs'],
+	}
+	if (datastores.length > 0) {
+		service.depends_on = Object.fromEntries(
+			datastores.map(({ type }) => [
+				DATASTORES[type].service,
+				{ condition: 'service_healthy' },
+			])
+		)
+	}
+
+	return addService(compose, 'app', service)
+}
+
+// Prometheus, scraping the app's /metrics endpoint with the configuration from
+// getPrometheusConfig()
+function addMonitoringService(compose) {
+	return addService(
+		compose,
+		'prometheus',
+		{
+			image: 'prom/prometheus:v2.50.1',
+			ports: ['9090:9090'],
+			volumes: [
+				'./monitoring/prometheus.yml:/etc/prometheus/prometheus.yml:ro',
+				'prometheus_data:/prometheus',
+			],
+			depends_on: { app: { condition: 'service_started' } },
+		},
+		['prometheus_data']
+	)
+}
+
+function getPrometheusConfig(projectName, port) {
+	return {
+		global: { scrape_interval: '15s' },
+		scrape_configs: [
+			{
+				job_name: projectName,
+				metrics_path: '/metrics',
+				static_configs: [{ targets: [`app:${port}`] }],
+			},
+		],
+	}
+}
+
+// YAML for plain data: maps, lists, strings, numbers, booleans and null. Strings are quoted
+// whenever a plain scalar could be read as something else
+function toYaml(value, indent = '') {
+	if (Array.isArray(value)) {
+		return value
+			.map((item) => {
+				if (isMap(item) && Object.keys(item).length > 0) {
+					// The first key goes on the dash line, the others line up under it
+					const [first, ...rest] = toYaml(item, `${indent}  `).split('\n')
+					return [`${indent}- ${first.trimStart()}`, ...rest].join('\n')
+				}
+				return `${indent}- ${toYamlScalar(item)}`
+			})
+			.join('\n')
+	}
+
+	return Object.entries(value)
+		.map(([key, item]) => {
+			if ((isMap(item) || Array.isArray(item)) && Object.keys(item).length > 0) {
+				return `${indent}${toYamlScalar(key)}:\n${toYaml(item, `${indent}  `)}`
+			}
+			return item === null
+				? `${indent}${toYamlScalar(key)}:`
+				: `${indent}${toYamlScalar(key)}: ${toYamlScalar(item)}`
+		})
+		.join('\n')
+}
+
+// The compose file's YAML, with a blank line between its top-level sections
+function serializeComposeFile(compose) {
+	const sections = Object.entries(compose).filter(
+		([key, value]) => key === 'services' || Object.keys(value).length > 0
+	)
+	return `${sections.map(([key, value]) => toYaml({ [key]: value })).join('\n\n')}\n`
+}
+
+// Merge the services of `compose` into the content of a compose file the template ships. Services
+// the file already defines are kept as they are; the others are added with their volumes. Every
+// service joins the shared network so they reach each other by name, and dependencies on a kept
+// service without a health check wait for it to start instead. Comments and formatting of the
+// file survive. Returns { content, added, kept } with the names of the services added and kept
+function mergeComposeFile(content, compose) {
+	const document = YAML.parseDocument(content)
+	if (document.errors.length > 0) throw document.errors[0]
+	if (!YAML.isMap(document.contents)) document.contents = document.createNode({})
+
+	const existing = document.toJS().services || {}
+	const names = Object.keys(compose.services)
+	const added = names.filter((name) => !(name in existing))
+	const kept = names.filter((name) => name in existing)
+	if (added.length === 0) return { content, added, kept }
+
+	// Nodes from our own serializer, so the generated parts are quoted the same way
+	const generated = YAML.parseDocument(serializeComposeFile(compose))
+	const services = getSection(document, 'services')
+	for (const name of added) {
+		const service = generated.getIn(['services', name])
+		for (const dependency of Object.keys(compose.services[name].depends_on || {})) {
+			if (existing[dependency] && !existing[dependency].healthcheck) {
+				service.setIn(['depends_on', dependency, 'condition'], 'service_started')
+			}
+		}
+		services.set(name, service)
+	}
+
+	for (const [name, service] of Object.entries(existing)) {
+		if (!service || service.network_mode) continue
+
+		const networks = document.getIn(['services', name, 'networks'])
+		if (YAML.isSeq(networks)) {
+			if (!service.networks.includes(NETWORK)) networks.add(NETWORK)
+		} else if (YAML.isMap(networks)) {
+			if (!(NETWORK in service.networks)) networks.set(NETWORK, document.createNode(null))
+		} else {
+			// Services without networks are on the default one, which the others are not
+			document.setIn(['services', name, 'networks'], document.createNode([NETWORK]))
+		}
+	}
+
+	const volumes = added.flatMap((name) =>
+		(compose.services[name].volumes || [])
+			.map((volume) => volume.split(':')[0])
+			.filter((volume) => volume in compose.volumes)
+	)
+	for (const volume of volumes) {
+		if (!document.hasIn(['volumes', volume])) getSection(document, 'volumes').set(volume, document.createNode(null))
+	}
+	if (!document.hasIn(['networks', NETWORK])) {
+		getSection(document, 'networks').set(
+			NETWORK,
+			document.createNode(compose.networks[NETWORK])
+		)
+	}
+
+	const options = { nullStr: '', flowCollectionPadding: false, lineWidth: 0 }
+	return { content: document.toString(options), added, kept }
+}
+
+// A top-level map of the document, added when it is missing or empty
+function getSection(document, key) {
+	if (!YAML.isMap(document.get(key))) document.set(key, document.createNode({}))
+	return document.get(key)
+}
+
+function toYamlScalar(value) {
+	if (Array.isArray(value)) return '[]'
+	if (isMap(value)) return '{}'
+	if (typeof value !== 'string') return String(value)
+
+	const isPlain =
+		/^[A-Za-z0-9_./][A-Za-z0-9_./@ -]*$/.test(value) &&
+		!/\s$/.test(value) &&
+		!/^(true|false|yes|no|on|off|null|~|[-+]?\.?[0-9][0-9._]*)$/i.test(value)
+	return isPlain ? value : JSON.stringify(value)
+}
+
+module.exports = {
+	createComposeFile,
+	addService,
+	getContainerDatastores,
+	addDatastoreService,
+	addAppService,
+	addMonitoringService,
+	getPrometheusConfig,
+	serializeComposeFile,
+	mergeComposeFile,
+	toYaml,
+}
@@ -0,0 +1,140 @@
+// Datastores a project can use. Each one serves in one of its roles: the primary database, a
+// cache or a job queue. Those with an image run as a compose service; `connection` gives the
+// variables the app connects with, for a given host and role
+const DATASTORES = {
+	postgresql: {
+		label: 'PostgreSQL',
+		roles: ['primary'],
+		service: 'postgres',
+		image: 'postgres:15',
+		port: 5432,
+		dataPath: '/var/lib/postgresql/data',
+		environment: (projectName) => ({
+			POSTGRES_DB: projectName,
+			POSTGRES_USER: 'user',
+			POSTGRES_PASSWORD: 'password',
+		}),
+		healthcheck: (projectName) => ['CMD-SHELL', `pg_isready -U user -d ${projectName}`],
+		connection: (host, projectName) => ({
+			DATABASE_URL: `postgresql://user:password@${host}:5432/${projectName}`,
+		}),
+	},
+	mongodb: {
+		label: 'MongoDB',
+		roles: ['primary'],
+		service: 'mongodb',
+		image: 'mongo:6',
+		port: 27017,
+		dataPath: '/data/db',
+		environment: (projectName) => ({
+			MONGO_INITDB_ROOT_USERNAME: 'admin',
+			MONGO_INITDB_ROOT_PASSWORD: 'password',
+			MONGO_INITDB_DATABASE: projectName,
+		}),
+		healthcheck: () => ['CMD', 'mongosh', '--quiet', '--eval', 'db.adminCommand("ping")'],
+		connection: (host, projectName) => ({
+			MONGODB_URI: `mongodb://admin:password@${host}:27017/${projectName}?authSource=admin`,
+		}),
+	},
+	mysql: {
+		label: 'MySQL',
+		roles: ['primary'],
+		service: 'mysql',
+		image: 'mysql:8.0',
+		port: 3306,
+		dataPath: '/var/lib/mysql',
+		environment: (projectName) => ({
+			MYSQL_ROOT_PASSWORD: 'rootpassword',
+			MYSQL_DATABASE: projectName,
+			MYSQL_USER: 'user',
+			MYSQL_PASSWORD: 'password',
+		}),
+		healthcheck: () => ['CMD', 'mysqladmin', 'ping', '-h', 'localhost'],
+		connection: (host, projectName) => ({
+			DATABASE_URL: `mysql://user:password@${host}:3306/${projectName}`,
+		}),
+	},
+	// One Redis server holds both the cache and the queue, in separate logical databases
+	redis: {
+		label: 'Redis',
+		roles: ['cache', 'queue'],
+		service: 'redis',
+		image: 'redis:7-alpine',
+		command: 'redis-server --requirepass password',
+		port: 6379,
+		dataPath: '/data',
+		environment: () => ({}),
+		healthcheck: () => ['CMD', 'redis-cli', '-a', 'password', 'ping'],
+		connection: (host, projectName, role) => ({
+			[`${role.toUpperCase()}_URL`]: `redis://:password@${host}:6379/${role === 'queue' ? 1 : 0}`,
+		}),
+	},
+	sqlite: {
+		label: 'SQLite',
+		roles: ['primary'],
+		environment: () => ({}),
+		// The file: form Prisma reads; the generated Python code converts it for SQLAlchemy and Django
+		connection: (host, projectName) => ({ DATABASE_URL: `file:./${projectName}.db` }),
+	},
+}
+
+// Selected datastores as { value, type, role }. A selection is a datastore, which takes its first
+// role, or a datastore and a role such as "redis:queue". A single value, as saved before
+// datastores could be combined, counts as a one-item list; unknown values and "none" are skipped
+function parseDatastores(selection) {
+	const values = Array.isArray(selection) ? selection : selection ? [selection] : []
+	return values
+		.map((value) => {
+			const [type, role] = String(value).split(':')
+			const datastore = DATASTORES[type]
+			if (!datastore) return null
+			return { value, type, role: role || datastore.roles[0] }
+		})
+		.filter(Boolean)
+}
+
+// Returns an error message, or null when the datastores can be combined
+function validateDatastores(selection) {
+	const datastores = parseDatastores(selection)
+
+	const unsupported = datastores.find(({ type, role }) => !DATASTORES[type].roles.includes(role))
+	if (unsupported) {
+		return `${DATASTORES[unsupported.type].label} cannot be used as ${unsupported.role}`
+	}
+	for (const role of ['primary', 'cache', 'queue']) {
+		if (datastores.filter((datastore) => datastore.role === role).length > 1) {
+			return `Choose only one ${role === 'primary' ? 'primary database' : role}`
+		}
+	}
+	return null
+}
+
+// Type of the primary database, or null without one
+function getPrimaryDatastore(selection) {
+	return parseDatastores(selection).find(({ role }) => role === 'primary')?.type || null
+}
+
+// Variables for .env files: how to connect to a datastore in its role, and the credentials its
+// container is set up with
+function getDatastoreEnv({ type, role }, host, projectName) {
+	return {
+		...DATASTORES[type].connection(host, projectName, role),
+		...DATASTORES[type].environment(projectName),
+	}
+}
+
+// "PostgreSQL (primary), Redis (cache)"
+function describeDatastores(selection) {
+	return parseDatastores(selection)
+		.map(({ type, role }) => `${DATASTORES[type].label} (${role})`)
+		.join(', ')
+}
+
+module.exports = {
+	DATASTORES,
+	parseDatastores,
+	validateDatastores,
+	getPrimaryDatastore,
+	getDatastoreEnv,
+	describeDatastores,
+}
@@ -0,0 +1,42 @@
+const path = require('path')
+
+const ENV_EXAMPLE_FILE = '.env.example'
+
+// Names a dotenv file defines, `export NAME=value` included
+function getEnvNames(content) {
+	return new Set(
+		content
+			.split('\n')
+			.map((line) => line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=/))
+			.filter(Boolean)
+			.map((match) => match[1])
+	)
+}
+
+// Append a commented section of variables to the project's .env.example, creating it when
+// needed. Variables the file already defines keep their value. Resolves to false when there was
+// nothing to add
+async function addEnvVariables(projectPath, projectFs, section, variables) {
+	const filePath = path.join(projectPath, ENV_EXAMPLE_FILE)
+	const content = (await projectFs.pathExists(filePath))
+		? await projectFs.readFile(filePath, 'utf8')
+		: ''
+	const defined = getEnvNames(content)
+	const missing = Object.entries(variables).filter(([name]) => !defined.has(name))
+	if (missing.length === 0) return false
+
+	const trimmed = content.replace(/\s*$/, '')
+	await projectFs.writeFile(
+		filePath,
+		`${trimmed}${trimmed ? '\n\n' : ''}${formatEnvSection(section, Object.fromEntries(missing))}`
+	)
+	return true
+}
+
+// A comment line naming the section, then one NAME=value line per variable
+function formatEnvSection(section, variables) {
+	const lines = Object.entries(variables).map(([name, value]) => `${name}=${value}`)
+	return `# ${section}\n${lines.join('\n')}\n`
+}
+
+module.exports = { addEnvVariables, formatEnvSection }
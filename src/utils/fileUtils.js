@@ -0,0 +1,42 @@
+const buffer = require('buffer')
+
+// Bytes inspected for NUL bytes when telling binary content from text, the same window git uses
+const SNIFF_LENGTH = 8000
+
+// Encoding of text content: UTF-16 is recognized by its byte order mark, anything else has to be
+// valid UTF-8. Returns null for binary content and text in other encodings such as Latin-1
+function detectEncoding(content) {
+	if (content[0] === 0xff && content[1] === 0xfe) return 'utf-16le'
+	if (content[0] === 0xfe && content[1] === 0xff) return 'utf-16be'
+	if (content.subarray(0, SNIFF_LENGTH).includes(0)) return null
+
+	return isUtf8(content) ? 'utf-8' : null
+}
+
+// buffer.isUtf8() needs Node 18.14, the CLI may run on older versions
+function isUtf8(content) {
+	if (buffer.isUtf8) return buffer.isUtf8(content)
+	try {
+		new TextDecoder('utf-8', { fatal: true }).decode(content)
+		return true
+	} catch {
+		return false
+	}
+}
+
+// { text, encoding } for text content, null otherwise. The byte order mark stays part of the
+// text, so encodeText() restores the original bytes
+function decodeText(content) {
+	const encoding = detectEncoding(content)
+	if (!encoding) return null
+	return { text: new TextDecoder(encoding, { ignoreBOM: true }).decode(content), encoding }
+}
+
+function encodeText(text, encoding) {
+	if (encoding === 'utf-8') return Buffer.from(text, 'utf8')
+
+	const content = Buffer.from(text, 'utf16le')
+	return encoding === 'utf-16be' ? content.swap16() : content
+}
+
+module.exports = { decodeText, encodeText }
@@ -0,0 +1,49 @@
+const { getHost } = require('./host')
+
+// Token for GitHub requests from the active host: the VS Code extension uses a stored token or
+// the VS Code GitHub session, the CLI uses GITHUB_TOKEN or GH_TOKEN
+async function getGitHubToken() {
+	return getHost().getGitHubToken()
+}
+
+// Headers for api.github.com and raw.githubusercontent.com requests
+async function getGitHubRequestHeaders() {
+	const headers = { Accept: 'application/vnd.github+json' }
+	const token = await getGitHubToken()
+	if (token) {
+		headers.Authorization = `Bearer ${token}`
+	}
+	return headers
+}
+
+// Environment for git child processes: authenticates github.com over HTTPS without putting
+// the token on the command line, and stops git from waiting on an interactive prompt
+async function getGitEnvironment(gitUrl) {
+	const env = { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+
+	if (!/^https:\/\/github\.com\//.test(gitUrl)) return env
+
+	const token = await getGitHubToken()
+	if (token) {
+		const credentials = Buffer.from(`x-access-token:${token}`).toString('base64')
+		env.GIT_CONFIG_COUNT = '1'
+		env.GIT_CONFIG_KEY_0 = 'http.https://github.com/.extraheader'
+		env.GIT_CONFIG_VALUE_0 = `Authorization: Basic ${credentials}`
+	}
+
+	return env
+}
+
+// Errors that signing in or setting a token would fix
+function isGitHubAuthError(error) {
+	return Boolean(
+		error && (error.rateLimited || error.statusCode === 401 || error.requiresAuthentication)
+	)
+}
+
+module.exports = {
+	getGitHubToken,
+	getGitHubRequestHeaders,
+	getGitEnvironment,
+	isGitHubAuthError,
+}
@@ -0,0 +1,53 @@
+// The scaffolding engine under src/utils reaches its environment only through the active host,
+// so the same code runs in the VS Code extension and in the kickstart CLI. The extension
+// replaces the default host with one backed by the VS Code API when it activates.
+//
+// A host provides:
+//   getSetting(key, defaultValue)       value of the `kickstarthub.<key>` setting
+//   getWorkspaceFolder()                folder relative local template paths resolve against
+//   log(message, ...details)            diagnostics: fallbacks taken, errors recovered from
+//   showWarning(message, ...actions)    non-fatal problem; resolves to the chosen action, if any
+//   executeCommand(command)             runs an action offered with a warning
+//   withProgress(title, task)           background work; task receives { report({ message }) }
+//   getGitHubToken()                    token for GitHub requests, or null
+//   confirmTemplateHooks(name, commands) whether a template's post-generation commands may run
+
+let activeHost = null
+
+// Plain Node.js host: settings from an object, GitHub token from the environment. Diagnostics
+// go to the console unless `log` handles them
+function createNodeHost({ settings = {}, workspaceFolder = process.cwd(), warn, log } = {}) {
+	return {
+		getSetting: (key, defaultValue) => (key in settings ? settings[key] : defaultValue),
+		getWorkspaceFolder: () => workspaceFolder,
+		log: log || ((message, ...details) => console.log(message, ...details)),
+		showWarning: async (message) => {
+			;(warn || console.warn)(message)
+			return undefined
+		},
+		executeCommand: async () => {},
+		withProgress: (title, task) => task({ report: () => {} }),
+		getGitHubToken: async () => process.env.GITHUB_TOKEN || process.env.GH_TOKEN || null,
+		// Without a way to ask, commands only run when the templateHooks setting is 'always'
+		confirmTemplateHooks: async (templateName, commands) => {
+			if (settings.templateHooks === 'always') return true
+			;(warn || console.warn)(
+				`Skipped ${commands.length} command(s) declared by ${templateName}: ${commands.join('; ')}`
+			)
+			return false
+		},
+	}
+}
+
+function setHost(host) {
+	activeHost = host
+}
+
+function getHost() {
+	if (!activeHost) {
+		activeHost = createNodeHost()
+	}
+	return activeHost
+}
+
+module.exports = { createNodeHost, setHost, getHost }
@@ -0,0 +1,89 @@
+const http = require('http')
+const https = require('https')
+
+const USER_AGENT = 'kickstarthub-vscode'
+
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308]
+
+// Resolves to the response body as a Buffer, so binary files arrive intact
+async function downloadFile(url, options = {}) {
+	const headers = { 'User-Agent': USER_AGENT, ...options.headers }
+
+	return new Promise((resolve, reject) => {
+		const chunks = []
+
+		// Plain HTTP for http: URLs, such as registries served from an intranet
+		const client = new URL(url).protocol === 'http:' ? http : https
+		client
+			.get(url, { headers, signal: options.signal }, (response) => {
+				if (REDIRECT_STATUS_CODES.includes(response.statusCode)) {
+					// Handle redirect, only forwarding credentials to the same origin
+					const location = new URL(response.headers.location, url)
+					const redirectOptions =
+						location.origin === new URL(url).origin
+							? options
+							: { ...options, headers: {} }
+					response.resume()
+					return downloadFile(location.toString(), redirectOptions)
+						.then(resolve)
+						.catch(reject)
+				}
+
+				if (response.statusCode !== 200) {
+					response.resume()
+					reject(createHttpError(response, url))
+					return
+				}
+
+				response.on('data', (chunk) => chunks.push(chunk))
+				response.on('end', () => resolve(Buffer.concat(chunks)))
+				response.on('error', reject)
+			})
+			.on('error', reject)
+	})
+}
+
+async function downloadText(url, options = {}) {
+	return (await downloadFile(url, options)).toString('utf8')
+}
+
+async function downloadJson(url, options = {}) {
+	try {
+		const data = await downloadText(url, options)
+		return JSON.parse(data)
+	} catch (error) {
+		// Rate limit, auth and abort errors carry details callers act on, pass them through untouched
+		if (error.rateLimited || error.statusCode === 401 || error.name === 'AbortError') {
+			throw error
+		}
+		if (error.message.includes('404')) {
+			throw Object.assign(new Error(`Resource not found: ${url}`), { statusCode: 404 })
+		}
+		throw Object.assign(new Error(`Failed to download JSON from ${url}: ${error.message}`), {
+			statusCode: error.statusCode,
+		})
+	}
+}
+
+function createHttpError(response, url) {
+	const remaining = response.headers['x-ratelimit-remaining']
+	const reset = response.headers['x-ratelimit-reset']
+
+	if ((response.statusCode === 403 || response.statusCode === 429) && remaining === '0') {
+		const resetAt = reset ? new Date(Number(reset) * 1000) : null
+		const resetText = resetAt ? ` It resets at ${resetAt.toLocaleTimeString()}.` : ''
+		return Object.assign(
+			new Error(
+				`GitHub API rate limit exceeded.${resetText} Sign in to GitHub or set a token to raise the limit.`
+			),
+			{ statusCode: response.statusCode, rateLimited: true, rateLimitReset: resetAt }
+		)
+	}
+
+	return Object.assign(
+		new Error(`HTTP ${response.statusCode}: ${response.statusMessage} for URL: ${url}`),
+		{ statusCode: response.statusCode }
+	)
+}
+
+module.exports = { downloadFile, downloadText, downloadJson }
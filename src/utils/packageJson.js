@@ -0,0 +1,72 @@
+const path = require('path')
+const { NPM_VERSION_CATALOG } = require('./versionCatalog')
+const { getHost } = require('./host')
+
+// The test script `npm init` writes, which a real test runner may replace
+const NPM_PLACEHOLDER_TEST = 'echo "Error: no test specified" && exit 1'
+
+// Add packages and scripts to a project's package.json. Packages get their version range from
+// the version catalog. Packages the project already lists, as a dependency or devDependency, and
+// existing scripts are kept as they are. Resolves to false when the project has no package.json,
+// or one that is not a valid JSON object: that step is skipped with a warning, so the other
+// options still apply
+async function updatePackageJson(
+	projectPath,
+	projectFs,
+	{ dependencies = [], devDependencies = [], scripts = {} }
+) {
+	const packagePath = path.join(projectPath, 'package.json')
+	if (!(await projectFs.pathExists(packagePath))) return false
+
+	const content = await projectFs.readFile(packagePath, 'utf8')
+	let packageJson
+	try {
+		packageJson = JSON.parse(content)
+		if (!packageJson || typeof packageJson !== 'object' || Array.isArray(packageJson)) {
+			throw new Error('expected an object')
+		}
+	} catch (error) {
+		const additions = [...dependencies, ...devDependencies, ...Object.keys(scripts)]
+		getHost().showWarning(
+			`The template's package.json is not valid (${error.message}), so ${additions.join(', ')} could not be added to it.`
+		)
+		return false
+	}
+
+	addPackages(packageJson, 'dependencies', dependencies)
+	addPackages(packageJson, 'devDependencies', devDependencies)
+
+	for (const [name, command] of Object.entries(scripts)) {
+		packageJson.scripts = packageJson.scripts || {}
+		const existing = packageJson.scripts[name]
+		if (existing === undefined || existing === NPM_PLACEHOLDER_TEST) {
+			packageJson.scripts[name] = command
+		}
+	}
+
+	// Keep the indentation the template uses
+	const indent = content.match(/^\{\r?\n([ \t]+)/)?.[1] || 2
+	await projectFs.writeFile(packagePath, `${JSON.stringify(packageJson, null, indent)}\n`)
+	return true
+}
+
+function addPackages(packageJson, field, names) {
+	if (names.length === 0) return
+
+	const listed = { ...packageJson.dependencies, ...packageJson.devDependencies }
+	const packages = { ...packageJson[field] }
+	for (const name of names) {
+		if (Object.prototype.hasOwnProperty.call(listed, name)) continue
+		if (!NPM_VERSION_CATALOG[name]) {
+			throw new Error(`No version of ${name} in the version catalog`)
+		}
+		packages[name] = NPM_VERSION_CATALOG[name]
+	}
+
+	// Sorted like npm writes them
+	packageJson[field] = Object.fromEntries(
+		Object.entries(packages).sort(([a], [b]) => a.localeCompare(b))
+	)
+}
+
+module.exports = { updatePackageJson }
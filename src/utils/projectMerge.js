@@ -0,0 +1,126 @@
+const path = require('path')
+const fs = require('fs-extra')
+
+// Files that hold the user's own secrets or dependency state; merging never replaces them
+// unless the user explicitly picks them
+const PROTECTED_FILE_PATTERNS = [
+	/^\.env$/,
+	/^\.env\..+$/,
+	/^package\.json$/,
+	/^package-lock\.json$/,
+	/^yarn\.lock$/,
+	/^pnpm-lock\.yaml$/,
+]
+
+function isProtectedFile(relativePath) {
+	const fileName = path.basename(relativePath)
+	return PROTECTED_FILE_PATTERNS.some((pattern) => pattern.test(fileName))
+}
+
+// Template files that already exist in the project with different contents, or whose place a
+// file or folder of the other kind takes (`typeConflict`). Paths are relative and use forward
+// slashes
+async function findMergeConflicts(stagingPath, projectPath) {
+	const skipRepository = await fs.pathExists(path.join(projectPath, '.git'))
+	const conflicts = []
+	const addConflict = (relativePath, typeConflict) => {
+		const conflictPath = relativePath.split(path.sep).join('/')
+		if (conflicts.some((conflict) => conflict.path === conflictPath)) return
+
+		conflicts.push({
+			path: conflictPath,
+			existingPath: path.join(projectPath, relativePath),
+			templatePath: path.join(stagingPath, relativePath),
+			protected: isProtectedFile(relativePath),
+			typeConflict,
+		})
+	}
+
+	for (const relativePath of await listFiles(stagingPath, skipRepository)) {
+		// The template folder is a file in the project: the folder conflicts as a whole
+		const existingFile = await findExistingFile(projectPath, path.dirname(relativePath))
+		if (existingFile) {
+			addConflict(existingFile, true)
+			continue
+		}
+
+		const existingPath = path.join(projectPath, relativePath)
+		const existingStat = await fs.stat(existingPath).catch(() => null)
+		if (!existingStat) continue
+
+		if (existingStat.isFile()) {
+			const [existing, incoming] = await Promise.all([
+				fs.readFile(existingPath),
+				fs.readFile(path.join(stagingPath, relativePath)),
+			])
+			if (!existing.equals(incoming)) addConflict(relativePath, false)
+		} else {
+			addConflict(relativePath, true)
+		}
+	}
+
+	return conflicts
+}
+
+// Copy the staged template into an existing project. `keepExisting` lists conflict paths whose
+// current version wins; the existing repository, if any, is never touched
+async function mergeIntoProject(stagingPath, projectPath, keepExisting = []) {
+	const skipRepository = await fs.pathExists(path.join(projectPath, '.git'))
+	const keptPaths = new Set(
+		keepExisting.map((relativePath) => path.join(stagingPath, relativePath))
+	)
+
+	// Copying cannot replace a file with a folder or the other way round
+	for (const conflict of await findMergeConflicts(stagingPath, projectPath)) {
+		if (conflict.typeConflict && !keptPaths.has(conflict.templatePath)) {
+			await fs.remove(conflict.existingPath)
+		}
+	}
+
+	await fs.copy(stagingPath, projectPath, {
+		overwrite: true,
+		filter: (src) => {
+			if (skipRepository && src === path.join(stagingPath, '.git')) return false
+			return !keptPaths.has(src)
+		},
+	})
+}
+
+// First folder on `relativeDir` that is not a folder in the project, if any
+async function findExistingFile(projectPath, relativeDir) {
+	const segments = relativeDir === '.' ? [] : relativeDir.split(path.sep)
+
+	for (let index = 1; index <= segments.length; index++) {
+		const relativePath = path.join(...segments.slice(0, index))
+		const existingStat = await fs.stat(path.join(projectPath, relativePath)).catch(() => null)
+		if (!existingStat) return null
+		if (!existingStat.isDirectory()) return relativePath
+	}
+
+	return null
+}
+
+async function listFiles(rootPath, skipRepository, relativeDir = '') {
+	const files = []
+
+	for (const entry of await fs.readdir(path.join(rootPath, relativeDir), {
+		withFileTypes: true,
+	})) {
+		const relativePath = path.join(relativeDir, entry.name)
+		if (skipRepository && relativePath === '.git') continue
+
+		if (entry.isDirectory()) {
+			files.push(...(await listFiles(rootPath, skipRepository, relativePath)))
+		} else {
+			files.push(relativePath)
+		}
+	}
+
+	return files
+}
+
+module.exports = {
+	isProtectedFile,
+	findMergeConflicts,
+	mergeIntoProject,
+}
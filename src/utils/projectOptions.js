@@ -0,0 +1,199 @@
+const path = require('path')
+const {
+	PROJECT_SCOPES,
+	isSourceOffline,
+	getOfflineScopes,
+} = require('./templateRegistry')
+const { validateDatastores } = require('./datastores')
+
+// Optional project settings, shared by the QuickPick flow and the wizard webview. A section is
+// only offered when `appliesTo` matches the framework's tags, unless the template's manifest
+// says otherwise. `validate` returns an error message for choices that cannot be combined
+const CONFIGURATION_SECTIONS = [
+	{
+		key: 'packageManager',
+		title: 'Package Manager',
+		placeHolder: 'Select package manager (optional)',
+		appliesTo: (tags) => tags.includes('javascript') || tags.includes('typescript'),
+		options: [
+			{ label: '📦 npm', value: 'npm' },
+			{ label: '🧶 yarn', value: 'yarn' },
+			{ label: '📦 pnpm', value: 'pnpm' },
+			{ label: '🥖 bun', value: 'bun' },
+		],
+	},
+	{
+		key: 'database',
+		title: 'Datastores',
+		placeHolder: 'Select datastores: a primary database, Redis as cache or queue (optional)',
+		canPickMany: true,
+		appliesTo: (tags) => tags.includes('backend') || tags.includes('fullstack'),
+		validate: validateDatastores,
+		options: [
+			{ label: '🐘 PostgreSQL', value: 'postgresql' },
+			{ label: '🍃 MongoDB', value: 'mongodb' },
+			{ label: '🐬 MySQL', value: 'mysql' },
+			{ label: '🪶 SQLite', value: 'sqlite' },
+			{ label: '🔴 Redis (cache)', value: 'redis' },
+			{ label: '📬 Redis (queue)', value: 'redis:queue' },
+		],
+	},
+	{
+		key: 'authentication',
+		title: 'Authentication',
+		placeHolder: 'Select authentication method (optional)',
+		appliesTo: (tags) => tags.includes('fullstack') || tags.includes('backend'),
+		options: [
+			{ label: '🔐 JWT', value: 'jwt' },
+			{ label: '🔑 OAuth 2.0', value: 'oauth' },
+			{ label: '🛡️ Passport.js', value: 'passport' },
+			{ label: '🆔 Auth0', value: 'auth0' },
+			{ label: '🔓 None', value: 'none' },
+		],
+	},
+	{
+		key: 'cssFramework',
+		title: 'CSS Framework',
+		placeHolder: 'Select CSS framework (optional)',
+		appliesTo: (tags) => tags.includes('frontend'),
+		options: [
+			{ label: '🎨 Tailwind CSS', value: 'tailwind' },
+			{ label: '🅱️ Bootstrap', value: 'bootstrap' },
+			{ label: '🎭 Material-UI', value: 'mui' },
+			{ label: '🎪 Chakra UI', value: 'chakra' },
+			{ label: '💅 Styled Components', value: 'styled-components' },
+			{ label: '🎨 Ant Design', value: 'antd' },
+			{ label: '📝 Plain CSS', value: 'plain' },
+		],
+	},
+	{
+		key: 'features',
+		title: 'Features',
+		placeHolder: 'Select additional features (optional)',
+		canPickMany: true,
+		appliesTo: () => true,
+		options: [
+			{ label: '🔍 ESLint + Prettier', value: 'linting', picked: true },
+			{ label: '🧪 Testing Setup', value: 'testing', picked: true },
+			{ label: '📚 Storybook', value: 'storybook' },
+			{ label: '📊 Analytics', value: 'analytics' },
+			{ label: '🐳 Docker', value: 'docker' },
+			{ label: '📝 Documentation', value: 'docs' },
+			{ label: '🔄 GitHub Actions', value: 'github-actions' },
+			{ label: '🎯 TypeScript', value: 'typescript' },
+			{ label: '🔥 Hot Reload', value: 'hot-reload' },
+			{ label: '📈 Monitoring', value: 'monitoring' },
+		],
+	},
+]
+
+// Sections for a framework. A manifest's `supports` entry overrides the tag check and can
+// narrow a section down to the values the template handles
+function getConfigurationSections(framework, manifest) {
+	const tags = framework.tags || []
+	const supports = manifest?.supports || {}
+
+	return CONFIGURATION_SECTIONS.filter((section) =>
+		section.key in supports ? supports[section.key] !== false : section.appliesTo(tags)
+	).map((section) => {
+		const supported = supports[section.key]
+		if (!Array.isArray(supported)) return section
+		return {
+			...section,
+			options: section.options
+				.filter((option) => supported.includes(option.value))
+				.map((option) => ({ ...option, picked: option.picked && supported.includes(option.value) })),
+		}
+	})
+}
+
+// Keep only values that are valid options of sections applying to the framework, e.g. when
+// they come from a webview or a preset written by hand. Template prompt values are kept under
+// `variables` and checked against the manifest when the project is generated
+function sanitizeAdditionalConfig(framework, config, manifest) {
+	const sanitized = {}
+	if (config.variables && typeof config.variables === 'object') {
+		sanitized.variables = { ...config.variables }
+	}
+
+	for (const section of getConfigurationSections(framework, manifest)) {
+		const allowed = section.options.map((option) => option.value)
+		const value = config[section.key]
+
+		if (section.canPickMany) {
+			// A single value, as saved before the section allowed several, is kept as a list
+			const values = (Array.isArray(value) ? value : [value]).filter(
+				(item, index, all) => allowed.includes(item) && all.indexOf(item) === index
+			)
+			// Choices that cannot be combined with the ones before them are dropped
+			const valid = values.reduce(
+				(kept, item) =>
+					section.validate && section.validate([...kept, item]) ? kept : [...kept, item],
+				[]
+			)
+			if (valid.length > 0) sanitized[section.key] = valid
+		} else if (allowed.includes(value)) {
+			sanitized[section.key] = value
+		}
+	}
+	return sanitized
+}
+
+// Returns an error message, or null when the name is usable. With a location, the name must also
+// make a folder directly inside it: the project folder may be replaced, so it must never resolve
+// to the location itself or one of its parents
+function validateProjectName(value, location) {
+	if (!value || value.trim().length === 0) {
+		return 'Project name cannot be empty'
+	}
+	if (!/^[a-zA-Z0-9-_\.]+$/.test(value)) {
+		return 'Project name can only contain letters, numbers, hyphens, underscores, and dots'
+	}
+	if (value.length > 50) {
+		return 'Project name must be less than 50 characters'
+	}
+	if (value.startsWith('-') || value.endsWith('-')) {
+		return 'Project name cannot start or end with a hyphen'
+	}
+	if (value === '.' || value === '..') {
+		return 'Project name cannot be "." or ".."'
+	}
+	if (
+		typeof location === 'string' &&
+		path.dirname(path.resolve(location, value)) !== path.resolve(location)
+	) {
+		return 'Project name must name a folder inside the target location'
+	}
+	return null
+}
+
+// Scopes the framework can be created with right now, with display details. When its source
+// is offline only locally available scopes are listed
+async function getAvailableScopes(framework) {
+	const offlineScopes = await getOfflineScopes(framework)
+	const scopes = isSourceOffline(framework.source)
+		? offlineScopes
+		: framework.scopes || ['minimal', 'standard', 'enterprise']
+
+	return scopes.map((scope) => {
+		const scopeConfig = PROJECT_SCOPES[scope] || {
+			icon: '📦',
+			description: `${scope} configuration`,
+			features: [],
+		}
+		return {
+			scope,
+			...scopeConfig,
+			name: scope.charAt(0).toUpperCase() + scope.slice(1),
+			offline: offlineScopes.includes(scope),
+		}
+	})
+}
+
+module.exports = {
+	CONFIGURATION_SECTIONS,
+	getConfigurationSections,
+	sanitizeAdditionalConfig,
+	validateProjectName,
+	getAvailableScopes,
+}
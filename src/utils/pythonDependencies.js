@@ -0,0 +1,269 @@
+const path = require('path')
+const fs = require('fs-extra')
+const { PYTHON_VERSION_CATALOG } = require('./versionCatalog')
+
+const PYPROJECT_FILE = 'pyproject.toml'
+const REQUIREMENTS_FILE = 'requirements.txt'
+const DEV_REQUIREMENTS_FILE = 'requirements-dev.txt'
+
+// Where a Python project declares its dependencies:
+//   poetry        [tool.poetry.dependencies] and [tool.poetry.group.dev.dependencies]
+//   uv            [project] dependencies and [dependency-groups] dev
+//   pep621        [project] dependencies and [project.optional-dependencies] dev
+//   requirements  requirements.txt and requirements-dev.txt
+async function detectPythonManifest(projectPath, projectFs) {
+	const pyprojectPath = path.join(projectPath, PYPROJECT_FILE)
+	if (await projectFs.pathExists(pyprojectPath)) {
+		const lines = (await projectFs.readFile(pyprojectPath, 'utf8')).split('\n')
+		if (findTable(lines, 'tool.poetry.dependencies')) return 'poetry'
+		if (findTable(lines, 'project')) {
+			const usesUv =
+				findTable(lines, 'tool.uv') ||
+				findTable(lines, 'dependency-groups') ||
+				(await projectFs.pathExists(path.join(projectPath, 'uv.lock')))
+			return usesUv ? 'uv' : 'pep621'
+		}
+	}
+	return 'requirements'
+}
+
+// Add packages to whichever manifest the project uses, with version specifiers from the version
+// catalog. Packages the manifest already lists keep their specifier. Resolves to the manifest kind
+async function updatePythonDependencies(
+	projectPath,
+	projectFs,
+	{ dependencies = [], devDependencies = [] }
+) {
+	const manifest = await detectPythonManifest(projectPath, projectFs)
+
+	if (manifest === 'requirements') {
+		await addRequirements(path.join(projectPath, REQUIREMENTS_FILE), dependencies, projectFs)
+		await addRequirements(
+			path.join(projectPath, DEV_REQUIREMENTS_FILE),
+			devDependencies,
+			projectFs,
+			`-r ${REQUIREMENTS_FILE}\n`
+		)
+		return manifest
+	}
+
+	const pyprojectPath = path.join(projectPath, PYPROJECT_FILE)
+	let content = await projectFs.readFile(pyprojectPath, 'utf8')
+	if (manifest === 'poetry') {
+		content = addPoetryDependencies(content, 'tool.poetry.dependencies', dependencies)
+		content = addPoetryDependencies(
+			content,
+			'tool.poetry.group.dev.dependencies',
+			devDependencies
+		)
+	} else {
+		content = addArrayItems(content, 'project', 'dependencies', dependencies)
+		content = addArrayItems(
+			content,
+			manifest === 'uv' ? 'dependency-groups' : 'project.optional-dependencies',
+			'dev',
+			devDependencies
+		)
+	}
+	await projectFs.writeFile(pyprojectPath, content)
+	return manifest
+}
+
+function getRequirement(name) {
+	if (!PYTHON_VERSION_CATALOG[name]) {
+		throw new Error(`No version of ${name} in the version catalog`)
+	}
+	return `${name}${PYTHON_VERSION_CATALOG[name]}`
+}
+
+// Distribution name of a requirement such as "psycopg[binary]>=3.1", normalized as pip compares
+// names, or null for comments, options and blank lines
+function getPackageName(requirement) {
+	const match = requirement.trim().match(/^[A-Za-z0-9][A-Za-z0-9._-]*/)
+	return match ? match[0].toLowerCase().replace(/[-_.]+/g, '-') : null
+}
+
+function getMissing(names, listed) {
+	const listedNames = new Set(listed.map(getPackageName))
+	return names.filter((name) => !listedNames.has(getPackageName(name)))
+}
+
+async function addRequirements(filePath, names, projectFs, header = '') {
+	if (names.length === 0) return
+
+	const content = (await projectFs.pathExists(filePath))
+		? await projectFs.readFile(filePath, 'utf8')
+		: header
+	const missing = getMissing(names, content.split('\n'))
+	if (missing.length === 0) return
+
+	const separator = content && !content.endsWith('\n') ? '\n' : ''
+	await projectFs.writeFile(
+		filePath,
+		`${content}${separator}${missing.map(getRequirement).join('\n')}\n`
+	)
+}
+
+// Lines of a [table]: from its header to the next header, without trailing blank lines.
+// Multi-line arrays never start a line with a bare name in brackets, so they are not mistaken for
+// headers
+function findTable(lines, name) {
+	const isHeader = (line) => /^\s*\[\[?\s*[A-Za-z0-9_."' -]+\]\]?\s*(#.*)?$/.test(line)
+	const start = lines.findIndex(
+		(line) => isHeader(line) && line.replace(/#.*$/, '').trim() === `[${name}]`
+	)
+	if (start === -1) return null
+
+	let end = start + 1
+	while (end < lines.length && !isHeader(lines[end])) end++
+	while (end > start + 1 && !lines[end - 1].trim()) end--
+	return { start, end }
+}
+
+// Insert lines at the end of a table, adding the table at the end of the file when it is missing
+function insertIntoTable(content, tableName, newLines) {
+	const lines = content.split('\n')
+	const table = findTable(lines, tableName)
+	if (!table) {
+		const trimmed = content.replace(/\s*$/, '')
+		return `${trimmed}${trimmed ? '\n\n' : ''}[${tableName}]\n${newLines.join('\n')}\n`
+	}
+
+	lines.splice(table.end, 0, ...newLines)
+	return lines.join('\n')
+}
+
+// Add requirements to a `key = [...]` array of a table. Multi-line arrays get the new items
+// before their closing bracket; single-line arrays are rewritten with one item per line
+function addArrayItems(content, tableName, key, names) {
+	if (names.length === 0) return content
+
+	const lines = content.split('\n')
+	const table = findTable(lines, tableName)
+	const keyPattern = new RegExp(`^\\s*"?${key.replace(/[.-]/g, '\\$&')}"?\\s*=\\s*\\[`)
+	const keyIndex = table
+		? lines.slice(table.start + 1, table.end).findIndex((line) => keyPattern.test(line))
+		: -1
+
+	if (keyIndex === -1) {
+		const items = names.map((name) => `    "${getRequirement(name)}",`)
+		return insertIntoTable(content, tableName, [`${key} = [`, ...items, ']'])
+	}
+
+	const first = table.start + 1 + keyIndex
+	let last = first
+	while (last < lines.length && !/\]\s*(#.*)?$/.test(lines[last])) last++
+	const arrayText = lines.slice(first, last + 1).join('\n')
+	const listed = [...arrayText.matchAll(/"((?:[^"\\]|\\.)*)"|'([^']*)'/g)].map(
+		(match) => match[1] ?? match[2]
+	)
+	const missing = getMissing(names, listed)
+	if (missing.length === 0) return content
+
+	const newItems = missing.map(getRequirement)
+	if (first === last) {
+		const items = [...listed, ...newItems].map((item) => `    "${item}",`)
+		lines.splice(first, 1, `${key} = [`, ...items, ']')
+		return lines.join('\n')
+	}
+
+	const [, lineIndent, trailingItems, rest] = lines[last].match(/^(\s*)(.*?)\s*\](.*)$/)
+	const itemLine = lines.slice(first + 1, last).find((line) => line.trim())
+	const indent = itemLine ? itemLine.match(/^\s*/)[0] : trailingItems ? lineIndent : '    '
+	const added = newItems.map((item) => `${indent}"${item}",`)
+
+	if (trailingItems) {
+		// Items on the closing line, as in `    "b"]`, move to a line of their own
+		lines.splice(
+			last,
+			1,
+			`${lineIndent}${trailingItems.replace(/,?$/, ',')}`,
+			...added,
+			`]${rest}`
+		)
+	} else {
+		let previous = last - 1
+		while (previous > first && !lines[previous].replace(/#.*$/, '').trim()) previous--
+		if (!/[[,]\s*(#.*)?$/.test(lines[previous])) {
+			lines[previous] = lines[previous].replace(/\s*(#.*)?$/, (comment) => `,${comment}`)
+		}
+		lines.splice(last, 0, ...added)
+	}
+	return lines.join('\n')
+}
+
+// Add `name = "specifier"` entries to a Poetry dependency table
+function addPoetryDependencies(content, tableName, names) {
+	if (names.length === 0) return content
+
+	const table = findTable(content.split('\n'), tableName)
+	const listed = table
+		? content
+				.split('\n')
+				.slice(table.start + 1, table.end)
+				.map((line) => line.replace(/^\s*"?([^"=\s]+)"?\s*=.*$/, '$1'))
+		: []
+	const missing = getMissing(names, listed)
+	if (missing.length === 0) return content
+
+	return insertIntoTable(
+		content,
+		tableName,
+		missing.map((name) => {
+			const [, packageName, extras] = name.match(/^([^[]+)(?:\[(.*)\])?$/)
+			const version = getRequirement(name).slice(name.length)
+			return extras
+				? `${packageName} = { version = "${version}", extras = ["${extras}"] }`
+				: `${packageName} = "${version}"`
+		})
+	)
+}
+
+// Append the tables of `addition` that `content` does not have yet
+function addPyprojectTables(content, addition) {
+	const lines = content.split('\n')
+	const tables = addition
+		.trim()
+		.split(/\n(?=\[)/)
+		.filter((table) => !findTable(lines, table.split('\n')[0].trim().slice(1, -1)))
+	if (tables.length === 0) return content
+
+	return `${content.replace(/\s*$/, '')}\n\n${tables.map((table) => table.trim()).join('\n\n')}\n`
+}
+
+// Commands that install a project's Python dependencies, development ones included
+async function getPythonInstallCommands(projectPath, projectFs = fs) {
+	switch (await detectPythonManifest(projectPath, projectFs)) {
+		case 'poetry':
+			return ['poetry install']
+		case 'uv':
+			return ['uv sync']
+		case 'pep621': {
+			const lines = (
+				await projectFs.readFile(path.join(projectPath, PYPROJECT_FILE), 'utf8')
+			).split('\n')
+			const table = findTable(lines, 'project.optional-dependencies')
+			const hasDevExtra =
+				table &&
+				lines.slice(table.start + 1, table.end).some((line) => /^\s*"?dev"?\s*=/.test(line))
+			return [hasDevExtra ? 'pip install -e ".[dev]"' : 'pip install -e .']
+		}
+		default: {
+			const hasDevRequirements = await projectFs.pathExists(
+				path.join(projectPath, DEV_REQUIREMENTS_FILE)
+			)
+			return [
+				hasDevRequirements
+					? `pip install -r ${REQUIREMENTS_FILE} -r ${DEV_REQUIREMENTS_FILE}`
+					: `pip install -r ${REQUIREMENTS_FILE}`,
+			]
+		}
+	}
+}
+
+module.exports = {
+	detectPythonManifest,
+	updatePythonDependencies,
+	addPyprojectTables,
+	getPythonInstallCommands,
+}
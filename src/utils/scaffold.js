@@ -0,0 +1,195 @@
+const path = require('path')
+const fs = require('fs-extra')
+const { updateTemplateRegistry, getFrameworkByKey } = require('./templateRegistry')
+const {
+	CONFIGURATION_SECTIONS,
+	getConfigurationSections,
+	validateProjectName,
+} = require('./projectOptions')
+const { findMergeConflicts } = require('./projectMerge')
+const { loadTemplateManifest, resolveVariables } = require('./templateManifest')
+const { getStagingPath, stageProject, commitStagedProject } = require('./projectGenerator')
+const { getHost } = require('./host')
+
+const EXISTING_FOLDER_ACTIONS = {
+	fail: null,
+	overwrite: 'Overwrite',
+	merge: 'Merge',
+}
+
+// Create a project without any prompts, for other extensions and tasks. Options:
+//   framework, scope, name, location (absolute folder the project folder is created in)
+//   packageManager, database, authentication, cssFramework, features: same values as the
+//     configuration prompts; options that do not apply to the framework are rejected.
+//     `database` lists datastores, e.g. ['postgresql', 'redis', 'redis:queue']
+//   variables: values for the prompts declared in the template's kickstart.json, by name;
+//     prompts without a value take their default
+//   runHooks: run the post-generation commands of the template's kickstart.json. Off by default,
+//     and the templateHooks setting 'never' still applies
+//   ifExists: 'fail' (default), 'overwrite' or 'merge'. Merging keeps existing protected
+//     files such as .env and package.json and takes the template version of everything else
+//   progress: optional { report({ message }) } receiving the same steps as the notification,
+//     registry downloads included. No progress UI is shown
+//   token: optional CancellationToken
+// Resolves to the path of the created project
+async function scaffold(options = {}) {
+	const { framework, scope, projectName, targetLocation, additionalConfig, ifExists } =
+		await resolveScaffoldOptions(options)
+	const { token, progress = { report: () => {} } } = options
+
+	const projectPath = path.join(targetLocation, projectName)
+	let existingFolderAction = null
+	if (await fs.pathExists(projectPath)) {
+		existingFolderAction = EXISTING_FOLDER_ACTIONS[ifExists]
+		if (!existingFolderAction) {
+			throw new Error(
+				`Folder "${projectPath}" already exists. Pass ifExists: 'overwrite' or 'merge' to replace or merge into it.`
+			)
+		}
+	}
+
+	await fs.ensureDir(targetLocation)
+	const stagingPath = getStagingPath(targetLocation, projectName)
+
+	try {
+		const templateOrigin = await stageProject(
+			stagingPath,
+			framework,
+			scope,
+			projectName,
+			additionalConfig,
+			progress,
+			token,
+			{ runHooks: options.runHooks === true }
+		)
+		if (templateOrigin.startsWith('stale-')) {
+			getHost().showWarning(
+				`Could not download the latest ${framework.name} template, an older copy was used.`
+			)
+		}
+
+		const keepExisting =
+			existingFolderAction === 'Merge'
+				? (await findMergeConflicts(stagingPath, projectPath))
+						.filter((conflict) => conflict.protected)
+						.map((conflict) => conflict.path)
+				: []
+
+		await commitStagedProject(stagingPath, projectPath, existingFolderAction, keepExisting)
+	} finally {
+		await fs.remove(stagingPath)
+	}
+
+	return projectPath
+}
+
+// Check the caller's options the same way the prompts would, so a typo fails fast with a
+// readable message instead of silently producing a different project
+async function resolveScaffoldOptions(options) {
+	if (!options || typeof options !== 'object') {
+		throw new Error('scaffold() expects an options object.')
+	}
+
+	const { name, location, ifExists = 'fail', progress = { report: () => {} } } = options
+	if (!options.framework) {
+		throw new Error('Missing required option "framework".')
+	}
+	for (const key of ['framework', 'scope', 'name']) {
+		if (options[key] !== undefined && typeof options[key] !== 'string') {
+			throw new Error(`Option "${key}" must be a string.`)
+		}
+	}
+
+	if (typeof location !== 'string' || !path.isAbsolute(location)) {
+		throw new Error('Option "location" must be an absolute folder path.')
+	}
+	const nameError = validateProjectName(name, location)
+	if (nameError) {
+		throw new Error(`Invalid option "name": ${nameError}`)
+	}
+	const existingFolderChoices = Object.keys(EXISTING_FOLDER_ACTIONS)
+	if (!existingFolderChoices.includes(ifExists)) {
+		throw new Error(`Option "ifExists" must be one of: ${existingFolderChoices.join(', ')}.`)
+	}
+
+	// The caller reports progress its own way, if at all
+	await updateTemplateRegistry({ progress })
+	const framework = await getFrameworkByKey(options.framework)
+	if (!framework) {
+		throw new Error(`Template not found in registry: ${options.framework}`)
+	}
+
+	const scopes = framework.scopes || ['minimal', 'standard', 'enterprise']
+	const scope = options.scope || (scopes.includes('standard') ? 'standard' : scopes[0])
+	if (!scopes.includes(scope)) {
+		throw new Error(
+			`${framework.name} does not provide scope "${scope}". Available scopes: ${scopes.join(', ')}.`
+		)
+	}
+
+	if (options.variables !== undefined && typeof options.variables !== 'object') {
+		throw new Error('Option "variables" must be an object.')
+	}
+
+	const manifest = await loadTemplateManifest(framework, scope)
+	const additionalConfig = resolveAdditionalConfig(framework, manifest, options)
+	if (manifest) {
+		additionalConfig.variables = resolveVariables(manifest, options.variables)
+	} else if (options.variables) {
+		// The manifest of some remote templates is only known once they are downloaded
+		additionalConfig.variables = { ...options.variables }
+	}
+
+	return {
+		framework,
+		scope,
+		projectName: name.trim(),
+		targetLocation: location,
+		additionalConfig,
+		ifExists,
+	}
+}
+
+function resolveAdditionalConfig(framework, manifest, options) {
+	const sections = getConfigurationSections(framework, manifest)
+	const config = {}
+
+	for (const section of sections) {
+		const value = options[section.key]
+		if (value === undefined || value === null) continue
+
+		const allowed = section.options.map((option) => option.value)
+		// A single value is accepted for a section that allows several, as `database` used to
+		// allow only one
+		const values = section.canPickMany && typeof value === 'string' ? [value] : value
+		if (section.canPickMany && !Array.isArray(values)) {
+			throw new Error(`Option "${section.key}" must be an array.`)
+		}
+
+		const invalid = (section.canPickMany ? values : [values]).filter(
+			(item) => !allowed.includes(item)
+		)
+		if (invalid.length > 0) {
+			throw new Error(
+				`Invalid ${section.title.toLowerCase()} "${invalid.join('", "')}". Expected one of: ${allowed.join(', ')}.`
+			)
+		}
+
+		const error = section.validate && section.validate(values)
+		if (error) {
+			throw new Error(`${error}.`)
+		}
+		config[section.key] = values
+	}
+
+	// Options the prompts would not have offered for this framework
+	for (const section of CONFIGURATION_SECTIONS) {
+		if (options[section.key] && !sections.some((item) => item.key === section.key)) {
+			throw new Error(`Option "${section.key}" does not apply to ${framework.name}.`)
+		}
+	}
+
+	return config
+}
+
+module.exports = { scaffold }
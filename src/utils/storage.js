@@ -0,0 +1,83 @@
+const path = require('path')
+const fs = require('fs-extra')
+const { getHost } = require('./host')
+
+// Bump when the on-disk cache layout changes; older layouts are discarded on activation
+const CACHE_LAYOUT_VERSION = 3
+
+// Files the extension used to write into <extensionPath>/cache before moving to globalStorageUri.
+// Legacy template copies are not migrated since they were stored without their tree SHA
+const LEGACY_CACHE_FILES = ['template-registry.json', 'cache-info.json']
+
+// The legacy cache only ever held the built-in template source
+const LEGACY_SOURCE_ID = 'default'
+
+let storagePath = null
+
+// `legacyCacheDir` is the extension's old in-install cache folder, if there is one to migrate
+async function initializeStorage(rootPath, legacyCacheDir) {
+	storagePath = rootPath
+
+	await fs.ensureDir(getCacheDir())
+	await removeOutdatedCacheLayouts()
+	if (legacyCacheDir) {
+		await migrateLegacyCache(legacyCacheDir)
+	}
+}
+
+// Cache layout: <globalStorage>/cache/v<N>/sources/<sourceId>/{template-registry.json, cache-info.json,
+// templates/, trees/}
+function getCacheDir() {
+	if (!storagePath) {
+		throw new Error('KickStart Hub storage has not been initialized.')
+	}
+	return path.join(storagePath, 'cache', `v${CACHE_LAYOUT_VERSION}`)
+}
+
+function getSourceCacheDir(sourceId) {
+	return path.join(getCacheDir(), 'sources', sourceId)
+}
+
+async function removeOutdatedCacheLayouts() {
+	const cacheRoot = path.dirname(getCacheDir())
+	const currentLayout = path.basename(getCacheDir())
+
+	for (const entry of await fs.readdir(cacheRoot)) {
+		if (/^v\d+$/.test(entry) && entry !== currentLayout) {
+			await fs.remove(path.join(cacheRoot, entry))
+		}
+	}
+}
+
+// Copy state from the old in-install cache folder unless the current layout already has it
+async function migrateLegacyCache(legacyCacheDir) {
+	if (!(await fs.pathExists(legacyCacheDir))) return
+
+	const cacheDir = getSourceCacheDir(LEGACY_SOURCE_ID)
+
+	for (const entry of LEGACY_CACHE_FILES) {
+		const legacyPath = path.join(legacyCacheDir, entry)
+		const targetPath = path.join(cacheDir, entry)
+
+		try {
+			if ((await fs.pathExists(legacyPath)) && !(await fs.pathExists(targetPath))) {
+				await fs.copy(legacyPath, targetPath)
+			}
+		} catch (error) {
+			getHost().log(`Could not migrate legacy cache entry ${entry}:`, error.message)
+		}
+	}
+}
+
+async function clearCache() {
+	const cacheDir = getCacheDir()
+	await fs.emptyDir(cacheDir)
+}
+
+module.exports = {
+	CACHE_LAYOUT_VERSION,
+	initializeStorage,
+	getCacheDir,
+	getSourceCacheDir,
+	clearCache,
+}
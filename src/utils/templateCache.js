@@ -0,0 +1,136 @@
+const path = require('path')
+const fs = require('fs-extra')
+const { getSourceCacheDir } = require('./storage')
+const { getTemplateSources } = require('./templateSources')
+const { getHost } = require('./host')
+
+// Per source: templates/<key>/<scope>.json points at trees/<treeSha>/, which holds the files.
+// Identical template contents are stored once no matter how many scopes or refreshes share them
+const TEMPLATE_ENTRIES_DIR = 'templates'
+const TREES_DIR = 'trees'
+
+function getTemplateEntryPath(frameworkKey, scope, source) {
+	return path.join(
+		getSourceCacheDir(source.id),
+		TEMPLATE_ENTRIES_DIR,
+		frameworkKey,
+		`${scope}.json`
+	)
+}
+
+function getTreeCachePath(source, sha) {
+	return path.join(getSourceCacheDir(source.id), TREES_DIR, sha)
+}
+
+async function readTemplateEntry(frameworkKey, scope, source) {
+	return fs.readJson(getTemplateEntryPath(frameworkKey, scope, source)).catch(() => null)
+}
+
+// Find the cached copy of a template. Unless `allowStale` is set, the copy is only returned when
+// it was cached for the same registry lastUpdated, i.e. the template has not changed since.
+// Without a lastUpdated there is no telling, so the copy counts as stale and the template is
+// downloaded again, which reuses the cached tree when its SHA has not changed
+async function findCachedTemplate(
+	frameworkKey,
+	scope,
+	source,
+	lastUpdated,
+	{ allowStale = false } = {}
+) {
+	const entry = await readTemplateEntry(frameworkKey, scope, source)
+	if (!entry || !entry.sha) return null
+
+	const stale = !lastUpdated || entry.lastUpdated !== lastUpdated
+	if (stale && !allowStale) return null
+
+	const treePath = getTreeCachePath(source, entry.sha)
+	if (!(await fs.pathExists(treePath))) return null
+
+	return { ...entry, path: treePath, stale }
+}
+
+// Path of already cached contents for a tree SHA, whichever template they were cached for
+async function findCachedTree(source, sha) {
+	const treePath = getTreeCachePath(source, sha)
+	return (await fs.pathExists(treePath)) ? treePath : null
+}
+
+// Record a downloaded template under its tree SHA so repeat scaffolding needs no network
+async function cacheTemplate(frameworkKey, scope, source, { sha, lastUpdated }, sourcePath) {
+	if (!sha) return
+
+	try {
+		const treePath = getTreeCachePath(source, sha)
+		if (path.resolve(sourcePath) !== path.resolve(treePath)) {
+			// Copy next to the final location first so a partial copy is never mistaken for a tree
+			const partialPath = `${treePath}.partial`
+			await fs.remove(partialPath)
+			await fs.copy(sourcePath, partialPath)
+			await fs.remove(treePath)
+			await fs.move(partialPath, treePath)
+		}
+
+		await fs.outputJson(
+			getTemplateEntryPath(frameworkKey, scope, source),
+			{ sha, lastUpdated: lastUpdated || null, cachedAt: Date.now() },
+			{ spaces: 2 }
+		)
+		await pruneUnusedTrees(source)
+	} catch (error) {
+		getHost().log(`Could not cache template ${frameworkKey}/${scope}:`, error.message)
+	}
+}
+
+// Drop the cached entries of the given frameworks across all sources, along with any trees
+// no remaining entry points at
+async function purgeTemplateCache(frameworkKeys) {
+	const purged = new Set()
+
+	for (const source of getTemplateSources()) {
+		const entriesDir = path.join(getSourceCacheDir(source.id), TEMPLATE_ENTRIES_DIR)
+		let removedAny = false
+
+		for (const key of frameworkKeys) {
+			const entryPath = path.join(entriesDir, key)
+			if (await fs.pathExists(entryPath)) {
+				await fs.remove(entryPath)
+				purged.add(key)
+				removedAny = true
+			}
+		}
+
+		if (removedAny) await pruneUnusedTrees(source)
+	}
+
+	return [...purged]
+}
+
+async function pruneUnusedTrees(source) {
+	const sourceCacheDir = getSourceCacheDir(source.id)
+	const treesDir = path.join(sourceCacheDir, TREES_DIR)
+	if (!(await fs.pathExists(treesDir))) return
+
+	const referenced = new Set()
+	const entriesDir = path.join(sourceCacheDir, TEMPLATE_ENTRIES_DIR)
+	if (await fs.pathExists(entriesDir)) {
+		for (const key of await fs.readdir(entriesDir)) {
+			for (const file of await fs.readdir(path.join(entriesDir, key))) {
+				const entry = await readTemplateEntry(key, path.basename(file, '.json'), source)
+				if (entry && entry.sha) referenced.add(entry.sha)
+			}
+		}
+	}
+
+	for (const sha of await fs.readdir(treesDir)) {
+		if (!referenced.has(sha) && !sha.endsWith('.partial')) {
+			await fs.remove(path.join(treesDir, sha))
+		}
+	}
+}
+
+module.exports = {
+	findCachedTemplate,
+	findCachedTree,
+	cacheTemplate,
+	purgeTemplateCache,
+}
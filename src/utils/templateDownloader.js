@@ -0,0 +1,379 @@
+const path = require('path')
+const os = require('os')
+const fs = require('fs-extra')
+const { promisify } = require('util')
+const { execFile } = require('child_process')
+const { downloadFile, downloadText, downloadJson } = require('./network')
+const {
+	getGitHubToken,
+	getGitHubRequestHeaders,
+	getGitEnvironment,
+	isGitHubAuthError,
+} = require('./githubAuth')
+const { findLocalTemplate, findBundledTemplate } = require('./templateRegistry')
+const { findCachedTemplate, findCachedTree, cacheTemplate } = require('./templateCache')
+const { isCancelledError, throwIfCancelled, toAbortSignal } = require('./cancellation')
+const { getHost } = require('./host')
+const {
+	GITHUB_CONFIG,
+	DEFAULT_SOURCE,
+	getSourceById,
+	getSourceGitUrl,
+	getBranchArguments,
+} = require('./templateSources')
+const execFileAsync = promisify(execFile)
+
+const DOWNLOAD_CONCURRENCY = 8
+
+// Template resolution chain: local folder source | current bundled -> current cache entry ->
+// remote source (GitHub API -> git sparse clone) -> stale cache entry -> outdated bundled template.
+// Resolves to where the files came from: 'local', 'bundled', 'cache', 'download', 'stale-cache' or
+// 'stale-bundled'.
+// `token` is an optional cancellation token that aborts pending downloads
+async function resolveTemplate(framework, scope, projectPath, progress, token) {
+	const frameworkKey = framework.key
+	const source = getSourceById(framework.source) || DEFAULT_SOURCE
+
+	const localTemplate = await findLocalTemplate(
+		frameworkKey,
+		scope,
+		source,
+		framework.lastUpdated
+	)
+	if (localTemplate) {
+		progress.report({
+			message: `Copying ${localTemplate.source.replace(/^stale-/, '')} template...`,
+		})
+		await fs.copy(localTemplate.path, projectPath)
+		progress.report({ increment: 30 })
+		return localTemplate.source
+	}
+
+	// Local folder sources are never downloaded or cached
+	if (source.type === 'local') {
+		throw new Error(
+			`Template folder not found: ${path.join(source.path, 'templates', frameworkKey, scope)}. ` +
+				`Local source "${source.label}" must contain templates/<framework>/<scope>.`
+		)
+	}
+
+	// Download into a scratch folder first so only template files end up in the cache
+	const downloadPath = path.join(os.tmpdir(), `kickstart-template-${Date.now()}`)
+	try {
+		progress.report({ message: `Downloading template from ${source.label}...` })
+		const template = await downloadTemplateFromSource(
+			source,
+			frameworkKey,
+			scope,
+			downloadPath,
+			progress,
+			{ token, findCachedTree: (sha) => findCachedTree(source, sha) }
+		)
+		await cacheTemplate(
+			frameworkKey,
+			scope,
+			source,
+			{ sha: template.sha, lastUpdated: framework.lastUpdated },
+			template.path
+		)
+		await fs.copy(template.path, projectPath)
+		return 'download'
+	} catch (error) {
+		if (isCancelledError(error)) throw error
+
+		// An outdated copy beats no project at all when the source cannot be reached
+		const staleTemplate = await findCachedTemplate(
+			frameworkKey,
+			scope,
+			source,
+			framework.lastUpdated,
+			{ allowStale: true }
+		)
+		if (staleTemplate) {
+			getHost().log(`Using outdated cached copy of ${frameworkKey}/${scope}:`, error.message)
+			await fs.copy(staleTemplate.path, projectPath)
+			progress.report({ increment: 30 })
+			return 'stale-cache'
+		}
+
+		// Then the copy shipped with the extension, however old
+		const bundledTemplate = await findBundledTemplate(frameworkKey, scope, source)
+		if (!bundledTemplate) throw error
+
+		getHost().log(`Using bundled copy of ${frameworkKey}/${scope}:`, error.message)
+		await fs.copy(bundledTemplate.path, projectPath)
+		progress.report({ increment: 30 })
+		return 'stale-bundled'
+	} finally {
+		await fs.remove(downloadPath)
+	}
+}
+
+// Download a template into projectPath. Resolves to { sha, path } with the template's tree SHA
+// and the folder holding its files, which is a cached tree instead of projectPath when
+// `options.findCachedTree` already knows the SHA
+async function downloadTemplateFromSource(
+	source,
+	frameworkKey,
+	scope,
+	projectPath,
+	progress,
+	options = {}
+) {
+	if (source.type === 'github') {
+		return downloadTemplateFromGitHub(
+			source,
+			frameworkKey,
+			scope,
+			projectPath,
+			progress,
+			options
+		)
+	}
+
+	const gitUrl = getSourceGitUrl(source)
+	if (!gitUrl) {
+		throw new Error(
+			`Template source "${source.label}" does not define a git URL to download ${frameworkKey}/${scope} from.`
+		)
+	}
+
+	try {
+		return await downloadTemplateViaGit(
+			source,
+			gitUrl,
+			frameworkKey,
+			scope,
+			projectPath,
+			options
+		)
+	} catch (error) {
+		if (isCancelledError(error)) throw error
+		getHost().log('Git download failed:', error)
+		throw new Error(
+			`Template not found or could not be downloaded: ${frameworkKey}/${scope} from "${source.label}".`
+		)
+	}
+}
+
+async function downloadTemplateFromGitHub(
+	source,
+	frameworkKey,
+	scope,
+	projectPath,
+	progress,
+	options
+) {
+	try {
+		// Method 1: List the template through the Git Trees API and fetch its files in parallel
+		return await downloadTemplateViaAPI(
+			source,
+			frameworkKey,
+			scope,
+			projectPath,
+			progress,
+			options
+		)
+	} catch (error) {
+		if (isCancelledError(error)) throw error
+		getHost().log('API download failed, trying git clone:', error)
+		try {
+			// Method 2: Fallback to sparse git clone (for larger templates)
+			return await downloadTemplateViaGit(
+				source,
+				getSourceGitUrl(source),
+				frameworkKey,
+				scope,
+				projectPath,
+				options
+			)
+		} catch (gitError) {
+			if (isCancelledError(gitError)) throw gitError
+
+			// Rate limits and rejected credentials explain the failure better than the git error
+			if (isGitHubAuthError(error)) throw error
+
+			const hasToken = Boolean(await getGitHubToken())
+			throw Object.assign(
+				new Error(
+					`Template not found or could not be downloaded: ${frameworkKey}/${scope}. Please check if the template exists in the repository.` +
+						(hasToken
+							? ''
+							: ' If the repository is private, sign in to GitHub or set a token.')
+				),
+				{ requiresAuthentication: !hasToken }
+			)
+		}
+	}
+}
+
+async function downloadTemplateViaAPI(
+	source,
+	frameworkKey,
+	scope,
+	projectPath,
+	progress,
+	options = {}
+) {
+	const templatePath = `templates/${frameworkKey}/${scope}`
+	const headers = await getGitHubRequestHeaders()
+	const signal = toAbortSignal(options.token)
+
+	// Pin the branch to a commit, so the listing and the files come from the same snapshot even
+	// when the branch moves while they download
+	const repoUrl = `${GITHUB_CONFIG.baseUrl}/${source.owner}/${source.repo}`
+	const commitSha = (
+		await downloadText(`${repoUrl}/commits/${encodeURIComponent(source.branch)}`, {
+			headers: { ...headers, Accept: 'application/vnd.github.sha' },
+			signal,
+		})
+	).trim()
+
+	// One request lists every file in the repository, instead of one request per directory
+	const tree = await downloadJson(`${repoUrl}/git/trees/${commitSha}?recursive=1`, {
+		headers,
+		signal,
+	})
+
+	if (!tree || !Array.isArray(tree.tree)) {
+		throw new Error(`Unexpected response listing ${source.owner}/${source.repo}`)
+	}
+	if (tree.truncated) {
+		// Listings above GitHub's limit are incomplete, let the git fallback fetch the template
+		throw new Error(`Repository tree for ${source.owner}/${source.repo} is too large to list`)
+	}
+
+	const prefix = `${templatePath}/`
+	const templateTree = tree.tree.find(
+		(entry) => entry.type === 'tree' && entry.path === templatePath
+	)
+	const files = tree.tree.filter(
+		(entry) => entry.type === 'blob' && entry.path.startsWith(prefix)
+	)
+	if (!templateTree || files.length === 0) {
+		throw new Error(
+			`Template not found: ${frameworkKey}/${scope}. Please ensure the template exists in the GitHub repository.`
+		)
+	}
+
+	// Unchanged contents were already downloaded, possibly for another template or scope
+	const cachedTreePath =
+		options.findCachedTree && (await options.findCachedTree(templateTree.sha))
+	if (cachedTreePath) {
+		progress.report({ increment: 30, message: 'Template unchanged, using cached copy...' })
+		return { sha: templateTree.sha, path: cachedTreePath }
+	}
+
+	await fs.ensureDir(projectPath)
+
+	let downloadedFiles = 0
+	await runWithConcurrency(files, DOWNLOAD_CONCURRENCY, async (entry) => {
+		throwIfCancelled(options.token)
+
+		const filePath = path.join(projectPath, ...entry.path.slice(prefix.length).split('/'))
+		const fileUrl = `${GITHUB_CONFIG.rawUrl}/${source.owner}/${source.repo}/${commitSha}/${entry.path
+			.split('/')
+			.map(encodeURIComponent)
+			.join('/')}`
+
+		const fileContent = await downloadFile(fileUrl, { headers, signal })
+		await fs.outputFile(filePath, fileContent)
+
+		downloadedFiles++
+		progress.report({
+			increment: 30 / files.length,
+			message: `Downloaded ${downloadedFiles}/${files.length} files...`,
+		})
+	})
+
+	return { sha: templateTree.sha, path: projectPath }
+}
+
+// Run task for every item with at most `limit` tasks in flight. After the first failure no new
+// task starts, and the failure rejects once the tasks still running have settled, so none of
+// them writes into a folder the caller is already cleaning up
+async function runWithConcurrency(items, limit, task) {
+	let nextIndex = 0
+	let failure = null
+
+	const worker = async () => {
+		while (!failure && nextIndex < items.length) {
+			const item = items[nextIndex++]
+			try {
+				await task(item)
+			} catch (error) {
+				failure = failure || { error }
+			}
+		}
+	}
+
+	await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+	if (failure) throw failure.error
+}
+
+async function downloadTemplateViaGit(
+	source,
+	gitUrl,
+	frameworkKey,
+	scope,
+	projectPath,
+	options = {}
+) {
+	const tempDir = path.join(os.tmpdir(), `kickstart-${Date.now()}`)
+	const templatePath = `templates/${frameworkKey}/${scope}`
+
+	try {
+		// Clone the history without any file contents; only the template's files are checked out
+		const env = await getGitEnvironment(gitUrl)
+		const signal = toAbortSignal(options.token)
+		await execFileAsync(
+			'git',
+			[
+				'clone',
+				'--depth',
+				'1',
+				'--filter=blob:none',
+				'--sparse',
+				'--no-checkout',
+				...getBranchArguments(source),
+				'--',
+				gitUrl,
+				tempDir,
+			],
+			{ env, signal }
+		)
+
+		// The tree SHA is known before any file is fetched, so unchanged contents come from the cache
+		let sha
+		try {
+			const { stdout } = await execFileAsync('git', ['rev-parse', `HEAD:${templatePath}`], {
+				cwd: tempDir,
+			})
+			sha = stdout.trim()
+		} catch {
+			throw new Error(`Template path not found: ${templatePath}`)
+		}
+		const cachedTreePath = options.findCachedTree && (await options.findCachedTree(sha))
+		if (cachedTreePath) {
+			return { sha, path: cachedTreePath }
+		}
+
+		await execFileAsync('git', ['sparse-checkout', 'set', templatePath], {
+			cwd: tempDir,
+			env,
+			signal,
+		})
+		await execFileAsync('git', ['checkout'], { cwd: tempDir, env, signal })
+		throwIfCancelled(options.token)
+
+		await fs.copy(path.join(tempDir, templatePath), projectPath)
+		return { sha, path: projectPath }
+	} finally {
+		// Cleanup temp directory
+		if (await fs.pathExists(tempDir)) {
+			await fs.remove(tempDir)
+		}
+	}
+}
+
+module.exports = { resolveTemplate, downloadTemplateFromSource }
@@ -0,0 +1,523 @@
+// Template syntax applied to the text files of a generated project:
+//   {{NAME}}, {{name | kebab}}        value of a variable, optionally passed through filters
+//   {{#if expr}} {{else if expr}} {{else}} {{/if}}, {{#unless expr}} {{/unless}}
+//   {{#each list}} {{this}} {{@index}} {{/each}}, or {{#each list as item}}; {{else}} when empty
+//   \{{                               a literal {{
+// Expressions compare with == and !=, test list membership with `in`, combine with && (and),
+// || (or) and ! (not), and accept "strings", numbers, true, false and null.
+// Block tags alone on a line leave no blank line behind. A tag naming an unknown UPPER_CASE
+// variable is an error; other unknown names are left as they are, so the mustache syntax of the
+// generated project's own framework (Vue, Angular, Jinja, Handlebars, Go templates) passes
+// through: output tags as they are, and blocks such as {{#each items}} together with their body.
+// Block keywords of other languages, and {{else}} or closing tags outside a block, stay text too
+
+const FILTERS = {
+	upper: (value) => String(value).toUpperCase(),
+	lower: (value) => String(value).toLowerCase(),
+	kebab: (value) => splitWords(value).join('-').toLowerCase(),
+	snake: (value) => splitWords(value).join('_').toLowerCase(),
+	pascal: (value) => splitWords(value).map(capitalize).join(''),
+	camel: (value) =>
+		splitWords(value)
+			.map((word, index) => (index === 0 ? word.toLowerCase() : capitalize(word)))
+			.join(''),
+	json: (value) => JSON.stringify(value),
+	join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+	default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+}
+
+const BLOCKS = ['if', 'unless', 'each']
+const STRICT_NAME = /^[A-Z][A-Z0-9_]*$/
+
+// "MyCoolApp", "my cool-app" and "my_cool__app" all give my, cool, app (in their own case)
+function splitWords(value) {
+	return String(value)
+		.replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+		.replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+		.split(/[^A-Za-z0-9]+/)
+		.filter(Boolean)
+}
+
+function capitalize(word) {
+	return word.charAt(0).toUpperCase() + word.slice(1)
+}
+
+// Render a template. `context.variables` can be output and used in expressions;
+// `context.options` only in expressions, so common words such as {{database}} in the project's
+// own templates are not replaced. `file` names the template in error messages. File names
+// cannot contain {{/if}}, so with `closeBlocks` blocks still open at the end are closed there
+function renderTemplate(source, context, file, { closeBlocks = false } = {}) {
+	if (!source.includes('{{')) return source
+
+	const state = { source, file, closeBlocks }
+	const scopes = [
+		{ values: context.options || {}, output: false },
+		{ values: context.variables || {}, output: true },
+	]
+	return renderNodes(parse(state), scopes, state)
+}
+
+function templateError(state, offset, message) {
+	const line = state.source.slice(0, offset).split('\n').length
+	const location = state.file ? `${state.file}:${line}` : `line ${line}`
+	return Object.assign(new Error(`Template error in ${location}: ${message}`), {
+		file: state.file,
+		line,
+	})
+}
+
+// Split the source into text and tags
+function scan(source) {
+	const tokens = []
+	let text = ''
+	let index = 0
+
+	while (index < source.length) {
+		const open = source.indexOf('{{', index)
+		if (open === -1) break
+
+		if (source[open - 1] === '\\') {
+			text += `${source.slice(index, open - 1)}{{`
+			index = open + 2
+			continue
+		}
+
+		const close = source.indexOf('}}', open + 2)
+		if (close === -1) break
+
+		const inner = source.slice(open + 2, close).trim()
+		let start = open
+		let end = close + 2
+		text += source.slice(index, open)
+
+		// A block tag alone on its line takes the whole line with it
+		if (/^([#/]\w|else\b)/.test(inner)) {
+			const lineStart = source.lastIndexOf('\n', open - 1) + 1
+			const lineEnd = source.indexOf('\n', end)
+			const restOfLine = source.slice(end, lineEnd === -1 ? source.length : lineEnd)
+			if (!source.slice(lineStart, open).trim() && !restOfLine.trim()) {
+				text = text.slice(0, text.length - (open - lineStart))
+				start = lineStart
+				end = lineEnd === -1 ? source.length : lineEnd + 1
+			}
+		}
+
+		// `start` and `end` span what the tag took from the source, for tags that stay text
+		tokens.push({ type: 'text', value: text })
+		tokens.push({
+			type: 'tag',
+			inner,
+			raw: source.slice(open, close + 2),
+			offset: open,
+			start,
+			end,
+		})
+		text = ''
+		index = end
+	}
+
+	tokens.push({ type: 'text', value: text + source.slice(index) })
+	return tokens
+}
+
+// Build the tree of text, output and block nodes
+function parse(state) {
+	const root = { keyword: 'root', branches: [{ children: [] }] }
+	const open = [root]
+	let target = root.branches[0].children
+
+	for (const token of scan(state.source)) {
+		if (token.type === 'text') {
+			if (token.value) target.push(token)
+			continue
+		}
+
+		const { inner, offset } = token
+		const current = open[open.length - 1]
+		const opening = inner.match(/^#(\w+)(?:\s+([\s\S]*))?$/)
+		const elseTag = inner.match(/^else(?:\s+if\s+([\s\S]+))?$/)
+		const closing = inner.match(/^\/(\w+)$/)
+		const asText = () => ({ type: 'text', value: state.source.slice(token.start, token.end) })
+
+		if (opening && !BLOCKS.includes(opening[1])) {
+			target.push(asText())
+		} else if (elseTag && current === root) {
+			target.push(asText())
+		} else if (closing && current.keyword !== closing[1] && !BLOCKS.includes(closing[1])) {
+			target.push(asText())
+		} else if (opening) {
+			const [, keyword, argument = ''] = opening
+			if (!argument.trim()) {
+				throw templateError(state, offset, `{{#${keyword}}} needs an expression`)
+			}
+
+			const node = { type: 'block', keyword, offset, start: token.start, branches: [] }
+			if (keyword === 'each') {
+				const each = argument.match(/^([\s\S]+?)\s+as\s+([A-Za-z_]\w*)$/)
+				node.list = parseExpression(each ? each[1] : argument, state, offset)
+				node.alias = each ? each[2] : null
+				node.branches.push({ children: [] })
+			} else {
+				const test = parseExpression(argument, state, offset)
+				node.branches.push({
+					test: keyword === 'unless' ? { type: 'not', operand: test } : test,
+					children: [],
+				})
+			}
+
+			target.push(node)
+			open.push(node)
+			target = node.branches[0].children
+		} else if (elseTag) {
+			if (current.hasElse) {
+				throw templateError(
+					state,
+					offset,
+					`{{else}} after the {{else}} of {{#${current.keyword}}}`
+				)
+			}
+			if (elseTag[1] && current.keyword === 'each') {
+				throw templateError(state, offset, '{{else if}} cannot be used in {{#each}}')
+			}
+
+			const branch = elseTag[1]
+				? { test: parseExpression(elseTag[1], state, offset), children: [] }
+				: { children: [] }
+			current.hasElse = !elseTag[1]
+			current.branches.push(branch)
+			target = branch.children
+		} else if (closing) {
+			if (current.keyword !== closing[1]) {
+				throw templateError(
+					state,
+					offset,
+					current === root
+						? `{{/${closing[1]}}} without a matching {{#${closing[1]}}}`
+						: `{{/${closing[1]}}} closes {{#${current.keyword}}}`
+				)
+			}
+			current.end = token.end
+			open.pop()
+			const parent = open[open.length - 1]
+			target = parent.branches[parent.branches.length - 1].children
+		} else {
+			const output = parseOutput(inner)
+			if (!output && STRICT_NAME.test(inner.split(/[\s|]/)[0])) {
+				throw templateError(state, offset, `Invalid tag ${token.raw}`)
+			}
+			target.push(
+				output
+					? { type: 'output', ...output, raw: token.raw, offset }
+					: { type: 'text', value: token.raw }
+			)
+		}
+	}
+
+	if (open.length > 1 && !state.closeBlocks) {
+		const unclosed = open[open.length - 1]
+		throw templateError(state, unclosed.offset, `{{#${unclosed.keyword}}} is never closed`)
+	}
+	return root.branches[0].children
+}
+
+const TOKEN_PATTERN =
+	/\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)|(==|!=|&&|\|\||[!|()])|(@?[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*))/y
+
+function tokenize(text) {
+	const tokens = []
+	TOKEN_PATTERN.lastIndex = 0
+	while (TOKEN_PATTERN.lastIndex < text.length) {
+		if (!text.slice(TOKEN_PATTERN.lastIndex).trim()) break
+
+		const match = TOKEN_PATTERN.exec(text)
+		if (!match) return null
+
+		const [, double, single, number, operator, name] = match
+		if (double !== undefined || single !== undefined) {
+			tokens.push({ type: 'literal', value: (double ?? single).replace(/\\(.)/g, '$1') })
+		} else if (number !== undefined) {
+			tokens.push({ type: 'literal', value: Number(number) })
+		} else if (operator) {
+			tokens.push({ type: 'operator', value: operator })
+		} else if (['true', 'false', 'null'].includes(name)) {
+			tokens.push({ type: 'literal', value: JSON.parse(name) })
+		} else if (['and', 'or', 'not', 'in'].includes(name)) {
+			tokens.push({
+				type: 'operator',
+				value: { and: '&&', or: '||', not: '!', in: 'in' }[name],
+			})
+		} else {
+			tokens.push({ type: 'name', path: name.split('.') })
+		}
+	}
+	return tokens
+}
+
+// name ( | filter argument? )*, or null when the tag is not template syntax
+function parseOutput(inner) {
+	const tokens = tokenize(inner)
+	if (!tokens || tokens[0]?.type !== 'name') return null
+
+	const output = { path: tokens[0].path, filters: [] }
+	let index = 1
+	while (index < tokens.length) {
+		const [pipe, filter, argument] = tokens.slice(index, index + 3)
+		if (pipe.value !== '|' || filter?.type !== 'name' || filter.path.length > 1) return null
+
+		if (argument?.type === 'literal') {
+			output.filters.push({ name: filter.path[0], argument: argument.value })
+			index += 3
+		} else {
+			output.filters.push({ name: filter.path[0] })
+			index += 2
+		}
+	}
+	return output
+}
+
+// An expression that does not parse, such as the Handlebars (eq a b), is only an error once
+// rendering reaches it, as a block of the project's own framework is passed through instead
+function parseExpression(text, state, offset) {
+	const tokens = tokenize(text)
+	const invalid = {
+		type: 'invalid',
+		error: templateError(state, offset, `Invalid expression "${text.trim()}"`),
+		names: (tokens || [])
+			.filter((token) => token.type === 'name')
+			.map((token) => token.path[0]),
+	}
+	if (!tokens) return invalid
+
+	let index = 0
+	const peek = () => tokens[index]?.value
+	const fail = () => {
+		throw invalid
+	}
+
+	const parseOr = () => {
+		let left = parseAnd()
+		while (peek() === '||') {
+			index++
+			left = { type: 'or', left, right: parseAnd() }
+		}
+		return left
+	}
+	const parseAnd = () => {
+		let left = parseNot()
+		while (peek() === '&&') {
+			index++
+			left = { type: 'and', left, right: parseNot() }
+		}
+		return left
+	}
+	const parseNot = () => {
+		if (peek() === '!') {
+			index++
+			return { type: 'not', operand: parseNot() }
+		}
+		const left = parsePrimary()
+		if (['==', '!=', 'in'].includes(peek())) {
+			const type = tokens[index++].value
+			return { type, left, right: parsePrimary() }
+		}
+		return left
+	}
+	const parsePrimary = () => {
+		const token = tokens[index++]
+		if (!token) fail()
+		if (token.type === 'literal') return token
+		if (token.type === 'name') return { type: 'name', path: token.path, offset }
+		if (token.value === '(') {
+			const expression = parseOr()
+			if (tokens[index++]?.value !== ')') fail()
+			return expression
+		}
+		return fail()
+	}
+
+	try {
+		const expression = parseOr()
+		if (index < tokens.length) fail()
+		return expression
+	} catch (error) {
+		if (error === invalid) return invalid
+		throw error
+	}
+}
+
+// Names the expression reads, first path segment only
+function getExpressionNames(expression) {
+	switch (expression.type) {
+		case 'name':
+			return [expression.path[0]]
+		case 'invalid':
+			return expression.names
+		case 'not':
+			return getExpressionNames(expression.operand)
+		case 'literal':
+			return []
+		default:
+			return [...getExpressionNames(expression.left), ...getExpressionNames(expression.right)]
+	}
+}
+
+// A block belongs to the generated project's own framework when its expression names only
+// unknown, lowercase variables, e.g. {{#each items}} in a Handlebars view
+function isForeignBlock(node, scopes) {
+	const names = getExpressionNames(node.list || node.branches[0].test)
+	return (
+		names.length > 0 &&
+		names.every((name) => !STRICT_NAME.test(name) && !lookup(scopes, [name], false).found)
+	)
+}
+
+function lookup(scopes, path, forOutput) {
+	for (let index = scopes.length - 1; index >= 0; index--) {
+		const scope = scopes[index]
+		if (
+			(!forOutput || scope.output) &&
+			Object.prototype.hasOwnProperty.call(scope.values, path[0])
+		) {
+			return {
+				found: true,
+				value: path.slice(1).reduce((value, key) => value?.[key], scope.values[path[0]]),
+			}
+		}
+	}
+	return { found: false }
+}
+
+function evaluate(expression, scopes, state) {
+	switch (expression.type) {
+		case 'literal':
+			return expression.value
+		case 'invalid':
+			throw expression.error
+		case 'name': {
+			const { found, value } = lookup(scopes, expression.path, false)
+			if (!found) {
+				throw templateError(
+					state,
+					expression.offset,
+					`Unknown variable "${expression.path[0]}"`
+				)
+			}
+			return value
+		}
+		case 'not':
+			return !isTruthy(evaluate(expression.operand, scopes, state))
+		case 'and':
+			return (
+				isTruthy(evaluate(expression.left, scopes, state)) &&
+				isTruthy(evaluate(expression.right, scopes, state))
+			)
+		case 'or':
+			return (
+				isTruthy(evaluate(expression.left, scopes, state)) ||
+				isTruthy(evaluate(expression.right, scopes, state))
+			)
+		case '==':
+			return (
+				evaluate(expression.left, scopes, state) ===
+				evaluate(expression.right, scopes, state)
+			)
+		case '!=':
+			return (
+				evaluate(expression.left, scopes, state) !==
+				evaluate(expression.right, scopes, state)
+			)
+		case 'in': {
+			const item = evaluate(expression.left, scopes, state)
+			const list = evaluate(expression.right, scopes, state)
+			return Array.isArray(list) || typeof list === 'string' ? list.includes(item) : false
+		}
+	}
+	return undefined
+}
+
+function renderNodes(nodes, scopes, state) {
+	let result = ''
+
+	for (const node of nodes) {
+		if (node.type === 'text') {
+			result += node.value
+		} else if (node.type === 'output') {
+			result += renderOutput(node, scopes, state)
+		} else if (isForeignBlock(node, scopes)) {
+			result += state.source.slice(node.start, node.end)
+		} else if (node.keyword === 'each') {
+			const list = evaluate(node.list, scopes, state)
+			const items = Array.isArray(list) ? list : isEmpty(list) ? [] : [list]
+			if (items.length === 0) {
+				result += node.hasElse ? renderNodes(node.branches[1].children, scopes, state) : ''
+				continue
+			}
+
+			items.forEach((item, index) => {
+				const values = {
+					this: item,
+					'@index': index,
+					'@first': index === 0,
+					'@last': index === items.length - 1,
+				}
+				if (node.alias) values[node.alias] = item
+				result += renderNodes(
+					node.branches[0].children,
+					[...scopes, { values, output: true }],
+					state
+				)
+			})
+		} else {
+			const branch = node.branches.find(
+				(candidate) => !candidate.test || isTruthy(evaluate(candidate.test, scopes, state))
+			)
+			if (branch) result += renderNodes(branch.children, scopes, state)
+		}
+	}
+
+	return result
+}
+
+function renderOutput(node, scopes, state) {
+	const { found, value } = lookup(scopes, node.path, true)
+	if (!found) {
+		if (STRICT_NAME.test(node.path[0])) {
+			throw templateError(state, node.offset, `Unknown variable "${node.path[0]}"`)
+		}
+		return node.raw
+	}
+
+	let result = value
+	for (const filter of node.filters) {
+		if (!FILTERS[filter.name]) {
+			throw templateError(state, node.offset, `Unknown filter "${filter.name}"`)
+		}
+		result =
+			filter.argument === undefined
+				? FILTERS[filter.name](result)
+				: FILTERS[filter.name](result, filter.argument)
+	}
+	return toText(result)
+}
+
+function isEmpty(value) {
+	return (
+		value === undefined ||
+		value === null ||
+		value === '' ||
+		(Array.isArray(value) && value.length === 0)
+	)
+}
+
+function isTruthy(value) {
+	return Array.isArray(value) ? value.length > 0 : Boolean(value)
+}
+
+function toText(value) {
+	if (value === undefined || value === null) return ''
+	if (Array.isArray(value)) return value.join(', ')
+	if (typeof value === 'object') return JSON.stringify(value)
+	return String(value)
+}
+
+module.exports = { FILTERS, renderTemplate }
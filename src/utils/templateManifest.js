@@ -0,0 +1,300 @@
+const path = require('path')
+const fs = require('fs-extra')
+const { downloadJson } = require('./network')
+const { getGitHubRequestHeaders } = require('./githubAuth')
+const { GITHUB_CONFIG, DEFAULT_SOURCE, getSourceById } = require('./templateSources')
+const { findLocalTemplate } = require('./templateRegistry')
+
+// Optional manifest a template folder ships next to its files:
+//   prompts   template-specific variables: { name, type, message, default, required, pattern,
+//             validationMessage, min, max, integer, choices }; types are string, number,
+//             boolean, select and multiselect
+//   supports  built-in options the template handles, by section key: false hides a section,
+//             an array limits its values and true shows it regardless of the template's tags
+//   exclude   [{ paths: [glob, ...], when | unless: condition }] files to leave out
+//   verbatim  [glob, ...] files copied as they are, without rendering their names or contents
+//   hooks     { postGenerate: [command | { command, when | unless }] } run in the new project
+// A condition maps option or prompt names to a value or a list of values; it matches when every
+// entry does. List-valued options such as features match when they include one of the values
+const MANIFEST_FILE = 'kickstart.json'
+
+const PROMPT_TYPES = ['string', 'number', 'boolean', 'select', 'multiselect']
+const BUILT_IN_OPTIONS = ['packageManager', 'database', 'authentication', 'cssFramework', 'features']
+
+function normalizeManifest(raw) {
+	if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+		throw new Error('expected a JSON object')
+	}
+
+	const prompts = (raw.prompts || []).map(normalizePrompt)
+	const names = prompts.map((prompt) => prompt.name)
+	const duplicate = names.find((name, index) => names.indexOf(name) !== index)
+	if (duplicate) {
+		throw new Error(`prompt "${duplicate}" is declared twice`)
+	}
+
+	const supports = raw.supports || {}
+	for (const [key, value] of Object.entries(supports)) {
+		if (!BUILT_IN_OPTIONS.includes(key)) {
+			throw new Error(`"supports" has unknown option "${key}"`)
+		}
+		if (typeof value !== 'boolean' && !Array.isArray(value)) {
+			throw new Error(`"supports.${key}" must be true, false or a list of values`)
+		}
+	}
+
+	const exclude = (raw.exclude || []).map((rule, index) => {
+		if (!rule || !Array.isArray(rule.paths)) {
+			throw new Error(`"exclude[${index}].paths" must be a list of paths`)
+		}
+		return { paths: rule.paths, when: rule.when, unless: rule.unless }
+	})
+
+	const verbatim = raw.verbatim || []
+	if (!Array.isArray(verbatim) || !verbatim.every((pattern) => typeof pattern === 'string')) {
+		throw new Error('"verbatim" must be a list of paths')
+	}
+
+	const hooks = {
+		postGenerate: (raw.hooks?.postGenerate || []).map((hook, index) => {
+			const normalized = typeof hook === 'string' ? { command: hook } : hook
+			if (!normalized || typeof normalized.command !== 'string') {
+				throw new Error(`"hooks.postGenerate[${index}]" must be a command`)
+			}
+			return normalized
+		}),
+	}
+
+	return { prompts, supports, exclude, verbatim, hooks }
+}
+
+function normalizePrompt(raw, index) {
+	if (!raw || typeof raw.name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(raw.name)) {
+		throw new Error(`"prompts[${index}].name" must be an identifier`)
+	}
+	if (BUILT_IN_OPTIONS.includes(raw.name)) {
+		throw new Error(`prompt "${raw.name}" clashes with a built-in option, use "supports"`)
+	}
+
+	const type = raw.type || 'string'
+	if (!PROMPT_TYPES.includes(type)) {
+		throw new Error(`prompt "${raw.name}" has unknown type "${type}"`)
+	}
+
+	const prompt = { ...raw, type, message: raw.message || raw.name }
+
+	if (type === 'select' || type === 'multiselect') {
+		if (!Array.isArray(raw.choices) || raw.choices.length === 0) {
+			throw new Error(`prompt "${raw.name}" needs "choices"`)
+		}
+		prompt.choices = raw.choices.map((choice) =>
+			typeof choice === 'object' ? choice : { label: String(choice), value: choice }
+		)
+	}
+
+	if (prompt.default === undefined) {
+		prompt.default = {
+			string: '',
+			number: null,
+			boolean: false,
+			select: prompt.choices?.[0].value,
+			multiselect: [],
+		}[type]
+	}
+
+	const defaultError = validatePromptValue(prompt, prompt.default)
+	if (defaultError && !(prompt.required && isEmpty(prompt.default))) {
+		throw new Error(`prompt "${raw.name}" has an invalid default: ${defaultError}`)
+	}
+
+	return prompt
+}
+
+// Manifest of a template folder, read through projectFs (fs-extra or a VirtualFileSystem).
+// Resolves to null when the template has none
+async function readManifest(templatePath, projectFs = fs) {
+	const manifestPath = path.join(templatePath, MANIFEST_FILE)
+	if (!(await projectFs.pathExists(manifestPath))) return null
+
+	try {
+		return normalizeManifest(JSON.parse(await projectFs.readFile(manifestPath, 'utf8')))
+	} catch (error) {
+		throw new Error(`Invalid ${MANIFEST_FILE} in ${templatePath}: ${error.message}`)
+	}
+}
+
+// Manifest of a template before it is fetched, so its prompts can be asked up front. Read from a
+// local or cached copy when there is one, otherwise from GitHub; other remote sources only
+// provide it once the template is downloaded, and their prompts then take their defaults
+async function loadTemplateManifest(framework, scope) {
+	const source = getSourceById(framework.source) || DEFAULT_SOURCE
+	const localTemplate = await findLocalTemplate(framework.key, scope, source, framework.lastUpdated)
+	if (localTemplate) {
+		return readManifest(localTemplate.path)
+	}
+
+	if (source.type !== 'github') return null
+
+	const url = `${GITHUB_CONFIG.rawUrl}/${source.owner}/${source.repo}/${source.branch}/templates/${framework.key}/${scope}/${MANIFEST_FILE}`
+	try {
+		return normalizeManifest(
+			await downloadJson(url, { headers: await getGitHubRequestHeaders() })
+		)
+	} catch (error) {
+		if (error.statusCode === 404) return null
+		throw new Error(`Invalid ${MANIFEST_FILE} for ${framework.name} (${scope}): ${error.message}`)
+	}
+}
+
+function isEmpty(value) {
+	return (
+		value === undefined ||
+		value === null ||
+		value === '' ||
+		(Array.isArray(value) && value.length === 0)
+	)
+}
+
+// Returns an error message, or null when the value is acceptable
+function validatePromptValue(prompt, value) {
+	if (isEmpty(value)) {
+		return prompt.required ? `${prompt.message} is required` : null
+	}
+
+	switch (prompt.type) {
+		case 'string':
+			if (typeof value !== 'string') return 'Expected text'
+			if (prompt.pattern && !new RegExp(prompt.pattern).test(value)) {
+				return prompt.validationMessage || `Must match ${prompt.pattern}`
+			}
+			return null
+
+		case 'number':
+			if (typeof value !== 'number' || Number.isNaN(value)) return 'Expected a number'
+			if (prompt.integer && !Number.isInteger(value)) return 'Expected a whole number'
+			if (prompt.min !== undefined && value < prompt.min) return `Must be at least ${prompt.min}`
+			if (prompt.max !== undefined && value > prompt.max) return `Must be at most ${prompt.max}`
+			return null
+
+		case 'boolean':
+			return typeof value === 'boolean' ? null : 'Expected true or false'
+
+		case 'select':
+			return prompt.choices.some((choice) => choice.value === value)
+				? null
+				: `Expected one of: ${prompt.choices.map((choice) => choice.value).join(', ')}`
+
+		case 'multiselect': {
+			const allowed = prompt.choices.map((choice) => choice.value)
+			const invalid = Array.isArray(value) ? value.filter((item) => !allowed.includes(item)) : []
+			return Array.isArray(value) && invalid.length === 0
+				? null
+				: `Expected values from: ${allowed.join(', ')}`
+		}
+	}
+	return null
+}
+
+// Convert text input (command line flags, form fields) to the prompt's type. Values that are
+// already typed pass through unchanged
+function parsePromptValue(prompt, value) {
+	if (typeof value !== 'string') return value
+
+	switch (prompt.type) {
+		case 'number':
+			return value.trim() === '' ? null : Number(value)
+		case 'boolean':
+			return ['true', 'yes', 'y', '1'].includes(value.trim().toLowerCase())
+		case 'multiselect':
+			return value
+				.split(',')
+				.map((item) => item.trim())
+				.filter(Boolean)
+		case 'select': {
+			const choice = prompt.choices.find((item) => String(item.value) === value)
+			return choice ? choice.value : value
+		}
+		default:
+			return value
+	}
+}
+
+// Values of every prompt: given values where present, defaults otherwise. Throws on values the
+// prompt would not accept
+function resolveVariables(manifest, variables = {}) {
+	const resolved = {}
+
+	for (const prompt of manifest?.prompts || []) {
+		const value =
+			variables[prompt.name] === undefined
+				? prompt.default
+				: parsePromptValue(prompt, variables[prompt.name])
+		const error = validatePromptValue(prompt, value)
+		if (error) {
+			throw new Error(`Invalid value for template option "${prompt.name}": ${error}`)
+		}
+		resolved[prompt.name] = value
+	}
+
+	return resolved
+}
+
+function matchesCondition(condition, values) {
+	return Object.entries(condition).every(([key, expected]) => {
+		const actual = values[key]
+		const accepted = Array.isArray(expected) ? expected : [expected]
+		if (Array.isArray(actual)) {
+			return actual.some((item) => accepted.includes(item))
+		}
+		return accepted.includes(actual === undefined ? null : actual)
+	})
+}
+
+// Rules apply when their `when` condition matches and their `unless` condition does not
+function isRuleActive(rule, values) {
+	if (rule.when && !matchesCondition(rule.when, values)) return false
+	if (rule.unless && matchesCondition(rule.unless, values)) return false
+	return true
+}
+
+// Relative paths and globs (*, **) to leave out for the selected options
+function getExcludedPaths(manifest, values) {
+	return (manifest?.exclude || [])
+		.filter((rule) => isRuleActive(rule, values))
+		.flatMap((rule) => rule.paths)
+}
+
+function getPostGenerateCommands(manifest, values) {
+	return (manifest?.hooks.postGenerate || [])
+		.filter((hook) => isRuleActive(hook, values))
+		.map((hook) => hook.command)
+}
+
+// A path matches a pattern when it is the pattern itself, lies inside it, or matches its globs
+function matchesPathPattern(relativePath, pattern) {
+	const normalizedPath = relativePath.split(path.sep).join('/')
+	const normalizedPattern = pattern.replace(/^\.?\//, '').replace(/\/$/, '')
+	const source = normalizedPattern
+		.split(/(\*\*\/?|\*|\?)/)
+		.map((part) => {
+			if (part === '**/') return '(?:.*/)?'
+			if (part === '**') return '.*'
+			if (part === '*') return '[^/]*'
+			if (part === '?') return '[^/]'
+			return part.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+		})
+		.join('')
+	return new RegExp(`^${source}(/.*)?$`).test(normalizedPath)
+}
+
+module.exports = {
+	MANIFEST_FILE,
+	readManifest,
+	loadTemplateManifest,
+	validatePromptValue,
+	parsePromptValue,
+	resolveVariables,
+	getExcludedPaths,
+	getPostGenerateCommands,
+	matchesPathPattern,
+}
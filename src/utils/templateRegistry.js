@@ -0,0 +1,461 @@
+const path = require('path')
+const fs = require('fs-extra')
+const { getSourceCacheDir } = require('./storage')
+const { findCachedTemplate } = require('./templateCache')
+const { getGitHubToken, isGitHubAuthError } = require('./githubAuth')
+const { getHost } = require('./host')
+const {
+	DEFAULT_SOURCE,
+	getTemplateSources,
+	getSourceById,
+	reportSourceProblem,
+	isRemoteSource,
+	fetchSourceRegistry,
+} = require('./templateSources')
+
+// Cache configuration
+const CACHE_CONFIG = {
+	maxAge: 30 * 60 * 1000, // 30 minutes in milliseconds
+	registryFile: 'template-registry.json',
+	templatesDir: 'templates',
+}
+
+// Remote sources whose last registry update failed
+const offlineSources = new Set()
+
+// Project scope configurations
+const PROJECT_SCOPES = {
+	minimal: {
+		key: 'minimal',
+		icon: '📦',
+		description: 'Basic setup with essential dependencies only',
+		features: ['Basic configuration', 'Minimal dependencies', 'Quick start'],
+	},
+	standard: {
+		key: 'standard',
+		icon: '🔧',
+		description: 'Standard setup with common tools and configurations',
+		features: [
+			'Linting & formatting',
+			'Basic testing setup',
+			'Development tools',
+			'Common utilities',
+		],
+	},
+	enterprise: {
+		key: 'enterprise',
+		icon: '🏢',
+		description: 'Full-featured setup with testing, CI/CD, and best practices',
+		features: [
+			'Complete testing suite',
+			'CI/CD pipelines',
+			'Code quality tools',
+			'Documentation',
+			'Security scanning',
+			'Monitoring',
+		],
+	},
+}
+
+// Pass `{ force: true }` to bypass the cache TTL; forced updates throw when no source could be
+// reached, and warn about the failed ones otherwise. With a `progress` reporter the download is
+// reported to it rather than shown by the host
+async function updateTemplateRegistry({ force = false, progress } = {}) {
+	// Local sources are read straight from disk, nothing to cache
+	const sources = getTemplateSources().filter(isRemoteSource)
+	const failedSources = []
+	let authenticationFailed = false
+
+	for (const source of sources) {
+		const cacheDir = getSourceCacheDir(source.id)
+		const registryPath = path.join(cacheDir, CACHE_CONFIG.registryFile)
+
+		await fs.ensureDir(cacheDir)
+
+		try {
+			// Check if we need to update the registry
+			const shouldUpdate = force || (await shouldUpdateRegistry(registryPath))
+
+			if (shouldUpdate) {
+				const fetchRegistry = async (progress) => {
+					progress.report({
+						message: `Fetching latest templates from ${source.label}...`,
+					})
+
+					const registryData = await fetchSourceRegistry(source)
+
+					await fs.writeFile(registryPath, registryData)
+
+					// Update cache timestamp
+					const cacheInfo = {
+						lastUpdated: Date.now(),
+						registryVersion: JSON.parse(registryData).version,
+					}
+					await fs.writeFile(
+						path.join(cacheDir, 'cache-info.json'),
+						JSON.stringify(cacheInfo, null, 2)
+					)
+				}
+
+				if (progress) {
+					await fetchRegistry(progress)
+				} else {
+					await getHost().withProgress('Updating templates...', fetchRegistry)
+				}
+				offlineSources.delete(source.id)
+			}
+		} catch (error) {
+			getHost().log(`Failed to update template registry from ${source.label}:`, error)
+			offlineSources.add(source.id)
+			failedSources.push(source)
+
+			// Private GitHub repositories answer 404 to anonymous requests
+			if (
+				isGitHubAuthError(error) ||
+				(source.type === 'github' && error.statusCode === 404 && !(await getGitHubToken()))
+			) {
+				authenticationFailed = true
+			}
+		}
+	}
+
+	if (failedSources.length === 0) return
+
+	// Continue with cached or bundled versions if available
+	const hasLocalRegistry = Boolean(await getTemplateRegistry())
+	const labels = failedSources.map((source) => source.label).join(', ')
+
+	if (!hasLocalRegistry || (force && failedSources.length === sources.length)) {
+		throw Object.assign(
+			new Error(
+				authenticationFailed
+					? `Could not fetch templates from ${labels}. Sign in to GitHub or set a token to access private repositories and raise rate limits.`
+					: `Could not fetch templates from ${labels}. Please check your internet connection and try again.`
+			),
+			{ requiresAuthentication: authenticationFailed }
+		)
+	}
+
+	const message = `KickStart Hub could not reach ${labels}. Only templates available locally can be used from it.`
+	if (authenticationFailed) {
+		getHost()
+			.showWarning(message, 'Sign in to GitHub')
+			.then((action) => {
+				if (action) getHost().executeCommand('kickstarthub.signInToGitHub')
+			})
+	} else {
+		getHost().showWarning(message)
+	}
+}
+
+function isRegistryOffline() {
+	return offlineSources.size > 0
+}
+
+function isSourceOffline(sourceId) {
+	return offlineSources.has(sourceId)
+}
+
+async function shouldUpdateRegistry(registryPath) {
+	// Always update if registry doesn't exist
+	if (!(await fs.pathExists(registryPath))) {
+		return true
+	}
+
+	// Check cache age
+	const cacheInfoPath = path.join(path.dirname(registryPath), 'cache-info.json')
+	if (!(await fs.pathExists(cacheInfoPath))) {
+		return true
+	}
+
+	try {
+		const cacheInfo = await fs.readJson(cacheInfoPath)
+		const now = Date.now()
+		const cacheAge = now - cacheInfo.lastUpdated
+
+		return cacheAge > CACHE_CONFIG.maxAge
+	} catch (error) {
+		return true
+	}
+}
+
+// Merge the registries of all configured sources. Sources are listed in precedence order,
+// so when two sources define the same template key the earlier one wins.
+async function getTemplateRegistry() {
+	const sources = getTemplateSources()
+	let merged = null
+
+	for (const source of sources) {
+		const registry = await readSourceRegistry(source)
+		if (!registry) continue
+
+		if (!merged) {
+			merged = { ...registry, templates: {} }
+		}
+
+		for (const [key, template] of Object.entries(registry.templates || {})) {
+			const existing = merged.templates[key]
+			if (existing) {
+				existing.shadowedSources = [...(existing.shadowedSources || []), source.label]
+				continue
+			}
+
+			merged.templates[key] = {
+				icon: '📦',
+				description: '',
+				tags: [],
+				category: 'Other',
+				...template,
+				source: source.id,
+				sourceLabel: source.label,
+			}
+		}
+	}
+
+	return merged
+}
+
+async function readSourceRegistry(source) {
+	if (source.type === 'local') {
+		return readLocalRegistry(source)
+	}
+
+	const registryPath = path.join(getSourceCacheDir(source.id), CACHE_CONFIG.registryFile)
+	let registry = null
+
+	try {
+		if (await fs.pathExists(registryPath)) {
+			registry = await fs.readJson(registryPath)
+		}
+	} catch (error) {
+		getHost().log('Error reading template registry:', error)
+	}
+
+	if (source.id !== DEFAULT_SOURCE.id) return registry
+
+	const bundledRegistry = await getBundledRegistry()
+
+	if (!registry) return bundledRegistry
+	if (!bundledRegistry) return registry
+
+	// Bundled templates are always listed, even if the downloaded registry dropped them
+	return {
+		...registry,
+		templates: { ...bundledRegistry.templates, ...registry.templates },
+	}
+}
+
+// Local registries are re-read on every access so template edits are picked up immediately.
+// Scopes missing from a registry entry are discovered from templates/<framework>/<scope>.
+async function readLocalRegistry(source) {
+	const registryPath = path.join(source.path, CACHE_CONFIG.registryFile)
+
+	if (!(await fs.pathExists(registryPath))) {
+		reportSourceProblem(
+			`Local template source "${source.label}" has no ${CACHE_CONFIG.registryFile} in ${source.path}`
+		)
+		return null
+	}
+
+	let registry
+	try {
+		registry = JSON.parse(await fetchSourceRegistry(source))
+	} catch (error) {
+		reportSourceProblem(
+			`Invalid ${CACHE_CONFIG.registryFile} in ${source.path}: ${error.message}`
+		)
+		return null
+	}
+
+	const discovered = await discoverLocalTemplates(source.path)
+	for (const [key, template] of Object.entries(registry.templates || {})) {
+		if (!template.scopes && discovered[key]) {
+			template.scopes = discovered[key]
+		}
+	}
+
+	return registry
+}
+
+// Map of framework key -> scopes found under <folder>/templates/<framework>/<scope>
+async function discoverLocalTemplates(folderPath) {
+	const templatesPath = path.join(folderPath, CACHE_CONFIG.templatesDir)
+	const discovered = {}
+
+	if (!(await fs.pathExists(templatesPath))) return discovered
+
+	for (const frameworkKey of await fs.readdir(templatesPath)) {
+		const frameworkPath = path.join(templatesPath, frameworkKey)
+		if (!(await fs.stat(frameworkPath)).isDirectory()) continue
+
+		const scopes = []
+		for (const scope of await fs.readdir(frameworkPath)) {
+			if ((await fs.stat(path.join(frameworkPath, scope))).isDirectory()) {
+				scopes.push(scope)
+			}
+		}
+
+		if (scopes.length > 0) {
+			discovered[frameworkKey] = scopes
+		}
+	}
+
+	return discovered
+}
+
+async function getBundledRegistry() {
+	const bundledTemplatesPath = getBundledTemplatesPath()
+	if (!bundledTemplatesPath) return null
+
+	const bundledRegistryPath = path.join(bundledTemplatesPath, CACHE_CONFIG.registryFile)
+
+	try {
+		if (await fs.pathExists(bundledRegistryPath)) {
+			return await fs.readJson(bundledRegistryPath)
+		}
+	} catch (error) {
+		getHost().log('Error reading bundled template registry:', error)
+	}
+
+	return null
+}
+
+async function getFrameworkByKey(frameworkKey) {
+	const registry = await getTemplateRegistry()
+	const template = registry?.templates?.[frameworkKey]
+
+	return template ? { key: frameworkKey, ...template } : null
+}
+
+// Compare two registry snapshots and describe what changed between them
+function diffRegistries(previous, current) {
+	const previousTemplates = previous?.templates || {}
+	const currentTemplates = current?.templates || {}
+
+	const diff = {
+		added: [],
+		removed: [],
+		scopesChanged: [],
+		updated: [],
+	}
+
+	for (const key of Object.keys(currentTemplates)) {
+		if (!previousTemplates[key]) {
+			diff.added.push(key)
+		}
+	}
+
+	for (const [key, oldTemplate] of Object.entries(previousTemplates)) {
+		const newTemplate = currentTemplates[key]
+		if (!newTemplate) {
+			diff.removed.push(key)
+			continue
+		}
+
+		const oldScopes = oldTemplate.scopes || []
+		const newScopes = newTemplate.scopes || []
+		const addedScopes = newScopes.filter((scope) => !oldScopes.includes(scope))
+		const removedScopes = oldScopes.filter((scope) => !newScopes.includes(scope))
+		if (addedScopes.length > 0 || removedScopes.length > 0) {
+			diff.scopesChanged.push({ key, added: addedScopes, removed: removedScopes })
+		}
+
+		if (oldTemplate.lastUpdated !== newTemplate.lastUpdated) {
+			diff.updated.push({ key, from: oldTemplate.lastUpdated, to: newTemplate.lastUpdated })
+		}
+	}
+
+	return diff
+}
+
+// Templates shipped inside the extension under src/templates/<framework>/<scope>
+function getBundledTemplatesPath() {
+	const extensionPath = getExtensionPath()
+	return extensionPath ? path.join(extensionPath, 'src', 'templates') : null
+}
+
+// Resolve a template that can be used without network access: local folder sources, a bundled
+// template (built-in source only) whose lastUpdated matches the registry, a download cache entry
+// that is still current, then, while the source is offline, an outdated cache entry or bundled
+// template
+async function findLocalTemplate(frameworkKey, scope, source, lastUpdated) {
+	if (source.type === 'local') {
+		const templatePath = path.join(source.path, CACHE_CONFIG.templatesDir, frameworkKey, scope)
+		return (await fs.pathExists(templatePath)) ? { source: 'local', path: templatePath } : null
+	}
+
+	const bundledTemplate = await findBundledTemplate(frameworkKey, scope, source)
+	if (bundledTemplate && lastUpdated && bundledTemplate.lastUpdated === lastUpdated) {
+		return { source: 'bundled', path: bundledTemplate.path }
+	}
+
+	const cachedTemplate = await findCachedTemplate(frameworkKey, scope, source, lastUpdated)
+	if (cachedTemplate) {
+		return { source: 'cache', path: cachedTemplate.path }
+	}
+
+	if (!isSourceOffline(source.id)) return null
+
+	const staleTemplate = await findCachedTemplate(frameworkKey, scope, source, lastUpdated, {
+		allowStale: true,
+	})
+	if (staleTemplate) {
+		return { source: 'stale-cache', path: staleTemplate.path }
+	}
+	if (bundledTemplate) {
+		return { source: 'stale-bundled', path: bundledTemplate.path }
+	}
+
+	return null
+}
+
+// A template shipped with the extension, with the lastUpdated the bundled registry gives it
+async function findBundledTemplate(frameworkKey, scope, source) {
+	const bundledPath = getBundledTemplatesPath()
+	if (!bundledPath || source.id !== DEFAULT_SOURCE.id) return null
+
+	const templatePath = path.join(bundledPath, frameworkKey, scope)
+	if (!(await fs.pathExists(templatePath))) return null
+
+	const bundledRegistry = await getBundledRegistry()
+	return {
+		path: templatePath,
+		lastUpdated: bundledRegistry?.templates?.[frameworkKey]?.lastUpdated,
+	}
+}
+
+// List the scopes of a framework that can be scaffolded offline
+async function getOfflineScopes(framework) {
+	const source = getSourceById(framework.source) || DEFAULT_SOURCE
+	const scopes = framework.scopes || ['minimal', 'standard', 'enterprise']
+	const offlineScopes = []
+
+	for (const scope of scopes) {
+		if (await findLocalTemplate(framework.key, scope, source, framework.lastUpdated)) {
+			offlineScopes.push(scope)
+		}
+	}
+
+	return offlineScopes
+}
+
+// Root of the installed package, shared by the extension and the CLI
+function getExtensionPath() {
+	return path.resolve(__dirname, '..', '..')
+}
+
+module.exports = {
+	CACHE_CONFIG,
+	PROJECT_SCOPES,
+	updateTemplateRegistry,
+	isRegistryOffline,
+	isSourceOffline,
+	getTemplateRegistry,
+	getFrameworkByKey,
+	diffRegistries,
+	discoverLocalTemplates,
+	findLocalTemplate,
+	findBundledTemplate,
+	getOfflineScopes,
+	getExtensionPath,
+}
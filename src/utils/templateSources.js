@@ -0,0 +1,263 @@
+const path = require('path')
+const os = require('os')
+const crypto = require('crypto')
+const { pathToFileURL } = require('url')
+const fs = require('fs-extra')
+const { promisify } = require('util')
+const { execFile } = require('child_process')
+const { downloadText } = require('./network')
+const { getGitHubRequestHeaders, getGitEnvironment } = require('./githubAuth')
+const { getHost } = require('./host')
+const execFileAsync = promisify(execFile)
+
+// GitHub configuration
+const GITHUB_CONFIG = {
+	owner: 'fahadismail95', // Change this to your GitHub username
+	repo: 'kickstart-hub-templates',
+	branch: 'master',
+	baseUrl: 'https://api.github.com/repos',
+	rawUrl: 'https://raw.githubusercontent.com',
+}
+
+const REGISTRY_FILE = 'template-registry.json'
+
+// Built-in source, always lowest precedence
+const DEFAULT_SOURCE = {
+	id: 'default',
+	type: 'github',
+	label: 'Kickstart Hub',
+	owner: GITHUB_CONFIG.owner,
+	repo: GITHUB_CONFIG.repo,
+	branch: GITHUB_CONFIG.branch,
+}
+
+const SOURCE_TYPES = ['github', 'git', 'local', 'http']
+
+// Configuration errors already shown to the user, to avoid repeating them on every lookup
+const reportedSourceErrors = new Set()
+
+// Sources from `kickstarthub.templateSources` in precedence order (first wins on key collisions)
+function getTemplateSources() {
+	const host = getHost()
+	const configuredSources = host.getSetting('templateSources', [])
+	const sources = []
+
+	for (const entry of configuredSources) {
+		try {
+			const source = normalizeSource(entry)
+			if (!sources.some((existing) => existing.id === source.id)) {
+				sources.push(source)
+			}
+		} catch (error) {
+			reportSourceProblem(`Ignoring template source: ${error.message}`)
+		}
+	}
+
+	if (host.getSetting('includeDefaultSource', true)) {
+		sources.push(DEFAULT_SOURCE)
+	}
+
+	return sources
+}
+
+function reportSourceProblem(message) {
+	if (!reportedSourceErrors.has(message)) {
+		reportedSourceErrors.add(message)
+		getHost().showWarning(message)
+	}
+}
+
+function getSourceById(sourceId) {
+	return getTemplateSources().find((source) => source.id === sourceId) || null
+}
+
+function normalizeSource(entry) {
+	if (!entry || !SOURCE_TYPES.includes(entry.type)) {
+		throw new Error(`"type" must be one of ${SOURCE_TYPES.join(', ')}`)
+	}
+
+	let source
+	switch (entry.type) {
+		case 'github':
+			if (!entry.owner || !entry.repo) {
+				throw new Error('GitHub sources require "owner" and "repo"')
+			}
+			source = {
+				type: 'github',
+				owner: entry.owner,
+				repo: entry.repo,
+				branch: entry.branch || 'main',
+				label: entry.label || `${entry.owner}/${entry.repo}`,
+			}
+			break
+
+		case 'git':
+			if (!entry.url) {
+				throw new Error('Git sources require "url"')
+			}
+			source = {
+				type: 'git',
+				url: entry.url,
+				branch: entry.branch,
+				label:
+					entry.label ||
+					entry.url
+						.replace(/\.git$/, '')
+						.split(/[/:]/)
+						.pop(),
+			}
+			break
+
+		case 'local':
+			if (!entry.path) {
+				throw new Error('Local sources require "path"')
+			}
+			source = {
+				type: 'local',
+				path: resolveLocalPath(entry.path),
+				label: entry.label || path.basename(entry.path),
+			}
+			break
+
+		case 'http':
+			if (!entry.url) {
+				throw new Error('HTTP sources require "url"')
+			}
+			source = {
+				type: 'http',
+				url: entry.url,
+				gitUrl: entry.gitUrl,
+				branch: entry.branch,
+				label: entry.label || new URL(entry.url).host,
+			}
+			break
+	}
+
+	source.id = createSourceId(source)
+	return source
+}
+
+// Local paths may start with ~, use ${workspaceFolder}, or be relative to the first workspace folder
+function resolveLocalPath(folderPath) {
+	const workspaceFolder = getHost().getWorkspaceFolder()
+	let resolved = folderPath.replace(/^~(?=$|[\\/])/, os.homedir())
+
+	if (workspaceFolder) {
+		resolved = resolved.replace('${workspaceFolder}', workspaceFolder)
+		if (!path.isAbsolute(resolved)) {
+			resolved = path.join(workspaceFolder, resolved)
+		}
+	}
+
+	return path.resolve(resolved)
+}
+
+// Stable, filesystem-safe identifier used for cache folders
+function createSourceId(source) {
+	const identity = [
+		source.type,
+		source.owner,
+		source.repo,
+		source.url,
+		source.path,
+		source.branch,
+	]
+		.filter(Boolean)
+		.join('|')
+	const hash = crypto.createHash('sha1').update(identity).digest('hex').slice(0, 10)
+	return `${source.type}-${hash}`
+}
+
+function isRemoteSource(source) {
+	return source.type !== 'local'
+}
+
+// Returns the raw registry JSON text served by a source
+async function fetchSourceRegistry(source) {
+	switch (source.type) {
+		case 'github':
+			return downloadText(
+				`${GITHUB_CONFIG.rawUrl}/${source.owner}/${source.repo}/${source.branch}/${REGISTRY_FILE}`,
+				{ headers: await getGitHubRequestHeaders() }
+			)
+
+		case 'http':
+			return downloadText(source.url)
+
+		case 'local':
+			return fs.readFile(path.join(source.path, REGISTRY_FILE), 'utf8')
+
+		case 'git': {
+			const tempDir = path.join(os.tmpdir(), `kickstart-registry-${Date.now()}`)
+			try {
+				// Sparse clones always check out top-level files, which is where the registry lives
+				await execFileAsync(
+					'git',
+					[
+						'clone',
+						'--depth',
+						'1',
+						'--filter=blob:none',
+						'--sparse',
+						...getBranchArguments(source),
+						'--',
+						source.url,
+						tempDir,
+					],
+					{ env: await getGitEnvironment(source.url) }
+				)
+				return await fs.readFile(path.join(tempDir, REGISTRY_FILE), 'utf8')
+			} finally {
+				await fs.remove(tempDir)
+			}
+		}
+	}
+}
+
+// Clone URL used for sparse checkouts of a source, if it has one
+function getSourceGitUrl(source) {
+	switch (source.type) {
+		case 'github':
+			return `https://github.com/${source.owner}/${source.repo}.git`
+		case 'git':
+			return source.url
+		case 'http':
+			return source.gitUrl || null
+		default:
+			return null
+	}
+}
+
+// Arguments for execFile rather than a shell string, as sources come from settings a
+// workspace can set
+function getBranchArguments(source) {
+	return source.branch ? ['--branch', source.branch] : []
+}
+
+// Browsable location of a template for display purposes
+function getTemplateSourceUrl(source, frameworkKey, scope) {
+	const templatePath = `templates/${frameworkKey}/${scope}`
+
+	switch (source.type) {
+		case 'github':
+			return `https://github.com/${source.owner}/${source.repo}/tree/${source.branch}/${templatePath}`
+		case 'local':
+			return pathToFileURL(path.join(source.path, templatePath)).href
+		default:
+			return null
+	}
+}
+
+module.exports = {
+	GITHUB_CONFIG,
+	DEFAULT_SOURCE,
+	getTemplateSources,
+	getSourceById,
+	reportSourceProblem,
+	resolveLocalPath,
+	isRemoteSource,
+	fetchSourceRegistry,
+	getSourceGitUrl,
+	getBranchArguments,
+	getTemplateSourceUrl,
+}
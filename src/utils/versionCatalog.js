@@ -0,0 +1,91 @@
+// Versions of the packages the project options add to generated projects. Packages released
+// together (Storybook, typescript-eslint, Jest) are kept on matching versions
+
+// npm version ranges, for package.json
+const NPM_VERSION_CATALOG = {
+	// CSS frameworks
+	tailwindcss: '^3.4.1',
+	postcss: '^8.4.35',
+	autoprefixer: '^10.4.17',
+	bootstrap: '^5.3.3',
+	'@mui/material': '^5.15.10',
+	'@emotion/react': '^11.11.3',
+	'@emotion/styled': '^11.11.0',
+	'@chakra-ui/react': '^2.8.2',
+	'framer-motion': '^11.0.5',
+	'styled-components': '^6.1.8',
+	antd: '^5.14.1',
+
+	// Linting
+	eslint: '^8.57.0',
+	prettier: '^3.2.5',
+	'@typescript-eslint/eslint-plugin': '^7.0.2',
+	'@typescript-eslint/parser': '^7.0.2',
+	'eslint-plugin-react': '^7.33.2',
+	'eslint-plugin-react-hooks': '^4.6.0',
+	'eslint-plugin-vue': '^9.21.1',
+
+	// Testing
+	jest: '^29.7.0',
+	'babel-jest': '^29.7.0',
+	'@babel/core': '^7.23.9',
+	'ts-jest': '^29.1.2',
+	'@types/jest': '^29.5.12',
+
+	// Storybook
+	storybook: '^7.6.17',
+	'@storybook/react': '^7.6.17',
+	'@storybook/react-webpack5': '^7.6.17',
+	'@storybook/addon-essentials': '^7.6.17',
+	'@storybook/addon-interactions': '^7.6.17',
+	'@storybook/addon-a11y': '^7.6.17',
+
+	// Monitoring and hot reload
+	express: '^4.18.2',
+	nodemon: '^3.0.3',
+
+	// Database client
+	prisma: '^5.22.0',
+	'@prisma/client': '^5.22.0',
+}
+
+// PEP 440 specifiers, for requirements.txt and pyproject.toml. Keys include extras
+const PYTHON_VERSION_CATALOG = {
+	// Database drivers
+	'psycopg[binary]': '>=3.1',
+	pymongo: '>=4.6',
+	PyMySQL: '>=1.1',
+	redis: '>=5.0',
+
+	// Database client and migrations
+	SQLAlchemy: '>=2.0',
+	alembic: '>=1.13',
+
+	// Authentication
+	PyJWT: '>=2.8',
+	Authlib: '>=1.3',
+
+	// Testing
+	pytest: '>=8.0',
+	'pytest-asyncio': '>=0.23',
+	'pytest-cov': '>=4.1',
+
+	// Linting
+	black: '>=24.2',
+	isort: '>=5.13',
+	flake8: '>=7.0',
+	mypy: '>=1.8',
+}
+
+// NuGet versions, for .csproj files. Entity Framework Core and its providers are kept on the
+// same major version
+const NUGET_VERSION_CATALOG = {
+	'Microsoft.EntityFrameworkCore': '8.0.8',
+	'Microsoft.EntityFrameworkCore.Design': '8.0.8',
+	'Microsoft.EntityFrameworkCore.Sqlite': '8.0.8',
+	'Npgsql.EntityFrameworkCore.PostgreSQL': '8.0.4',
+	'Pomelo.EntityFrameworkCore.MySql': '8.0.2',
+	'MongoDB.EntityFrameworkCore': '8.1.0',
+}
+
+module.exports = { NPM_VERSION_CATALOG, PYTHON_VERSION_CATALOG, NUGET_VERSION_CATALOG }
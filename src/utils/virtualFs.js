@@ -0,0 +1,123 @@
+const path = require('path')
+const fs = require('fs-extra')
+
+// In-memory stand-in for the subset of fs-extra the project generation pipeline uses, so a
+// project can be generated without writing anything to disk
+class VirtualFileSystem {
+	constructor() {
+		this.isVirtual = true
+		this.files = new Map()
+		this.directories = new Set()
+	}
+
+	async pathExists(filePath) {
+		const key = path.resolve(filePath)
+		return this.files.has(key) || this.directories.has(key)
+	}
+
+	async ensureDir(dirPath) {
+		let current = path.resolve(dirPath)
+		while (!this.directories.has(current)) {
+			if (this.files.has(current)) {
+				throw createFsError('ENOTDIR', 'not a directory', current)
+			}
+			this.directories.add(current)
+			const parent = path.dirname(current)
+			if (parent === current) break
+			current = parent
+		}
+	}
+
+	async readFile(filePath, options) {
+		const key = path.resolve(filePath)
+		if (!this.files.has(key)) {
+			throw createFsError('ENOENT', 'no such file or directory', key)
+		}
+		const encoding = typeof options === 'string' ? options : options && options.encoding
+		const content = this.files.get(key)
+		return encoding ? content.toString(encoding) : Buffer.from(content)
+	}
+
+	async writeFile(filePath, data) {
+		const key = path.resolve(filePath)
+		if (this.directories.has(key)) {
+			throw createFsError('EISDIR', 'illegal operation on a directory', key)
+		}
+		await this.ensureDir(path.dirname(key))
+		this.files.set(key, Buffer.isBuffer(data) ? Buffer.from(data) : Buffer.from(String(data)))
+	}
+
+	async readdir(dirPath) {
+		const key = path.resolve(dirPath)
+		if (!this.directories.has(key)) {
+			throw createFsError('ENOENT', 'no such file or directory', key)
+		}
+		const entries = new Set()
+		for (const entryPath of [...this.files.keys(), ...this.directories]) {
+			if (entryPath !== key && path.dirname(entryPath) === key) {
+				entries.add(path.basename(entryPath))
+			}
+		}
+		return [...entries].sort()
+	}
+
+	async stat(filePath) {
+		const key = path.resolve(filePath)
+		if (this.files.has(key)) {
+			const size = this.files.get(key).length
+			return { size, isFile: () => true, isDirectory: () => false }
+		}
+		if (this.directories.has(key)) {
+			return { size: 0, isFile: () => false, isDirectory: () => true }
+		}
+		throw createFsError('ENOENT', 'no such file or directory', key)
+	}
+
+	async remove(targetPath) {
+		const key = path.resolve(targetPath)
+		const isInside = (entryPath) => entryPath === key || entryPath.startsWith(key + path.sep)
+
+		for (const filePath of [...this.files.keys()]) {
+			if (isInside(filePath)) this.files.delete(filePath)
+		}
+		for (const dirPath of [...this.directories]) {
+			if (isInside(dirPath)) this.directories.delete(dirPath)
+		}
+	}
+
+	// Copy a folder from disk into the virtual filesystem
+	async loadFromDisk(sourcePath, targetPath) {
+		await this.ensureDir(targetPath)
+
+		for (const entry of await fs.readdir(sourcePath, { withFileTypes: true })) {
+			const from = path.join(sourcePath, entry.name)
+			const to = path.join(targetPath, entry.name)
+			if (entry.isDirectory()) {
+				await this.loadFromDisk(from, to)
+			} else if (entry.isFile()) {
+				await this.writeFile(to, await fs.readFile(from))
+			}
+		}
+	}
+
+	// Files under rootPath as { path, content } with forward-slash relative paths, sorted
+	listFiles(rootPath) {
+		const root = path.resolve(rootPath)
+		return [...this.files.entries()]
+			.filter(([filePath]) => filePath.startsWith(root + path.sep))
+			.map(([filePath, content]) => ({
+				path: path.relative(root, filePath).split(path.sep).join('/'),
+				content,
+			}))
+			.sort((a, b) => a.path.localeCompare(b.path))
+	}
+}
+
+function createFsError(code, description, filePath) {
+	return Object.assign(new Error(`${code}: ${description}, '${filePath}'`), {
+		code,
+		path: filePath,
+	})
+}
+
+module.exports = { VirtualFileSystem }
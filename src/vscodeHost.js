@@ -0,0 +1,100 @@
+const vscode = require('vscode')
+const { getTemplateSources } = require('./utils/templateSources')
+
+const TOKEN_SECRET_KEY = 'kickstarthub.githubToken'
+const GITHUB_SCOPES = ['repo']
+
+let secretStorage = null
+
+// Engine host backed by the VS Code API, see ./utils/host. Engine diagnostics go to the
+// extension host log
+function createVSCodeHost(context) {
+	secretStorage = context.secrets
+
+	return {
+		getSetting: (key, defaultValue) =>
+			vscode.workspace.getConfiguration('kickstarthub').get(key, defaultValue),
+		getWorkspaceFolder: () => vscode.workspace.workspaceFolders?.[0]?.uri.fsPath,
+		log: (message, ...details) => console.log(message, ...details),
+		showWarning: (message, ...actions) => vscode.window.showWarningMessage(message, ...actions),
+		executeCommand: (command) => vscode.commands.executeCommand(command),
+		withProgress: (title, task) =>
+			vscode.window.withProgress(
+				{ location: vscode.ProgressLocation.Window, title, cancellable: false },
+				task
+			),
+		getGitHubToken,
+		confirmTemplateHooks,
+	}
+}
+
+// Templates can come from any configured source, so their commands need consent unless the
+// templateHooks setting says otherwise
+async function confirmTemplateHooks(templateName, commands) {
+	const policy = vscode.workspace.getConfiguration('kickstarthub').get('templateHooks', 'ask')
+	if (policy !== 'ask') return policy === 'always'
+
+	const action = await vscode.window.showWarningMessage(
+		`${templateName} wants to run these commands in the new project:`,
+		{ modal: true, detail: commands.join('\n') },
+		'Run Commands',
+		'Skip'
+	)
+	return action === 'Run Commands'
+}
+
+// Token lookup order: token stored via "Set GitHub Token" -> existing VS Code GitHub session
+async function getGitHubToken() {
+	const storedToken = secretStorage ? await secretStorage.get(TOKEN_SECRET_KEY) : null
+	if (storedToken) return storedToken
+
+	const useVSCodeAuth = vscode.workspace
+		.getConfiguration('kickstarthub')
+		.get('github.useVSCodeAuthentication', true)
+	if (!useVSCodeAuth) return null
+
+	try {
+		const session = await vscode.authentication.getSession('github', GITHUB_SCOPES, {
+			silent: true,
+		})
+		return session ? session.accessToken : null
+	} catch (error) {
+		console.warn('GitHub authentication unavailable:', error.message)
+		return null
+	}
+}
+
+// Prompt the user to sign in with the VS Code GitHub authentication provider
+async function signInWithGitHub() {
+	const session = await vscode.authentication.getSession('github', GITHUB_SCOPES, {
+		createIfNone: true,
+	})
+	return session ? session.accessToken : null
+}
+
+async function storeGitHubToken(token) {
+	if (token) {
+		await secretStorage.store(TOKEN_SECRET_KEY, token)
+	} else {
+		await secretStorage.delete(TOKEN_SECRET_KEY)
+	}
+}
+
+// Watch local folder sources so template edits show up without a manual refresh
+function watchLocalSources(onChange) {
+	const watchers = getTemplateSources()
+		.filter((source) => source.type === 'local')
+		.map((source) => {
+			const watcher = vscode.workspace.createFileSystemWatcher(
+				new vscode.RelativePattern(vscode.Uri.file(source.path), '**/*')
+			)
+			watcher.onDidCreate(onChange)
+			watcher.onDidChange(onChange)
+			watcher.onDidDelete(onChange)
+			return watcher
+		})
+
+	return vscode.Disposable.from(...watchers)
+}
+
+module.exports = { createVSCodeHost, signInWithGitHub, storeGitHubToken, watchLocalSources }
@@ -0,0 +1,215 @@
+const assert = require('assert')
+const path = require('path')
+const { VirtualFileSystem } = require('../src/utils/virtualFs')
+const { createNodeHost, setHost } = require('../src/utils/host')
+const { getDatabaseStack, scaffoldDatabaseClient } = require('../src/utils/databaseScaffold')
+
+const PROJECT = path.resolve('/project')
+const NOW = new Date('2024-01-31T23:59:58Z')
+
+async function createProject(files) {
+	const projectFs = new VirtualFileSystem()
+	await projectFs.ensureDir(PROJECT)
+	for (const [name, content] of Object.entries(files)) {
+		await projectFs.ensureDir(path.dirname(path.join(PROJECT, name)))
+		await projectFs.writeFile(path.join(PROJECT, name), content)
+	}
+	return projectFs
+}
+
+// Scaffold the database code into a project made of `files`. Resolves to the stack used and the
+// project's files afterwards, by relative path
+async function scaffold(tags, database, files = {}, key = 'app') {
+	const projectFs = await createProject(files)
+	const projectFiles = projectFs.listFiles(PROJECT).map((file) => path.join(PROJECT, file.path))
+	const stack = await scaffoldDatabaseClient(
+		PROJECT,
+		{ key, tags },
+		'shop',
+		database,
+		projectFs,
+		projectFiles,
+		{ now: NOW }
+	)
+	const output = Object.fromEntries(
+		projectFs.listFiles(PROJECT).map((file) => [file.path, file.content.toString()])
+	)
+	return { stack, files: output }
+}
+
+suite('Database scaffolding', () => {
+	const warnings = []
+
+	setup(() => {
+		warnings.length = 0
+		setHost(createNodeHost({ warn: (message) => warnings.push(message) }))
+	})
+
+	teardown(() => {
+		setHost(null)
+	})
+
+	test('picks the stack from the template tags and key', () => {
+		assert.strictEqual(getDatabaseStack({ key: 'django-python', tags: ['python'] }), 'django')
+		assert.strictEqual(getDatabaseStack({ key: 'fastapi', tags: ['python'] }), 'sqlalchemy')
+		assert.strictEqual(getDatabaseStack({ key: 'next', tags: ['typescript'] }), 'prisma')
+		assert.strictEqual(getDatabaseStack({ key: 'boot', tags: ['java'] }), 'spring')
+		assert.strictEqual(getDatabaseStack({ key: 'aspnet-api', tags: [] }), 'efcore')
+		assert.strictEqual(getDatabaseStack({ key: 'hugo', tags: ['go'] }), null)
+	})
+
+	test('warns and writes nothing for a database the stack does not support', async () => {
+		const { stack, files } = await scaffold(['python', 'django'], 'mongodb')
+
+		assert.strictEqual(stack, null)
+		assert.deepStrictEqual(files, {})
+		assert.deepStrictEqual(warnings, [
+			'Django does not support MongoDB, so no database code was generated.',
+		])
+	})
+
+	test('Prisma: schema, dated migration, client and package.json', async () => {
+		const { stack, files } = await scaffold(['javascript'], 'postgresql', {
+			'package.json': '{\n  "name": "shop",\n  "type": "module"\n}\n',
+			'src/index.js': '',
+		})
+
+		assert.strictEqual(stack, 'prisma')
+		assert.deepStrictEqual(Object.keys(files), [
+			'package.json',
+			'prisma/migrations/20240131235958_init/migration.sql',
+			'prisma/migrations/migration_lock.toml',
+			'prisma/schema.prisma',
+			'src/db.js',
+			'src/index.js',
+		])
+		assert.match(files['prisma/schema.prisma'], /provider = "postgresql"/)
+		assert.match(files['src/db.js'], /^import \{ PrismaClient \}/)
+
+		const packageJson = JSON.parse(files['package.json'])
+		assert.ok(packageJson.dependencies['@prisma/client'])
+		assert.ok(packageJson.devDependencies.prisma)
+		assert.strictEqual(packageJson.scripts['db:migrate'], 'prisma migrate dev')
+	})
+
+	test('Prisma: CommonJS client and no migrations for MongoDB', async () => {
+		const { files } = await scaffold(['javascript'], 'mongodb', { 'package.json': '{}' })
+
+		assert.deepStrictEqual(Object.keys(files), [
+			'db.js',
+			'package.json',
+			'prisma/schema.prisma',
+		])
+		assert.match(files['db.js'], /require\('@prisma\/client'\)/)
+		assert.match(files['prisma/schema.prisma'], /env\("MONGODB_URI"\)/)
+		assert.strictEqual(JSON.parse(files['package.json']).scripts['db:push'], 'prisma db push')
+	})
+
+	test('SQLAlchemy: models, Alembic migration and requirements', async () => {
+		const { stack, files } = await scaffold(['python'], 'mysql', {
+			'requirements.txt': 'fastapi\n',
+		})
+
+		assert.strictEqual(stack, 'sqlalchemy')
+		assert.deepStrictEqual(Object.keys(files), [
+			'alembic.ini',
+			'alembic/env.py',
+			'alembic/script.py.mako',
+			'alembic/versions/0001_create_customers.py',
+			'database.py',
+			'models.py',
+			'requirements.txt',
+		])
+		assert.match(files['alembic/versions/0001_create_customers.py'], /Create Date: 2024-01-31/)
+		assert.match(files['database.py'], /"mysql:\/\/user:password@localhost:3306\/shop"/)
+		assert.strictEqual(files['requirements.txt'], 'fastapi\nSQLAlchemy>=2.0\nalembic>=1.13\n')
+	})
+
+	test('Django: appends DATABASES to settings.py once and adds the core app', async () => {
+		const template = {
+			'manage.py': '',
+			'shop/settings.py': 'INSTALLED_APPS = ["django.contrib.admin"]\n',
+		}
+		const { stack, files } = await scaffold(['python'], 'postgresql', template, 'django')
+
+		assert.strictEqual(stack, 'django')
+		assert.ok(files['core/models.py'].includes('class Customer(models.Model)'))
+		assert.ok(files['core/migrations/0001_initial.py'])
+
+		const settings = files['shop/settings.py']
+		assert.ok(settings.startsWith('INSTALLED_APPS = ["django.contrib.admin"]\n\n\n'))
+		assert.ok(settings.endsWith('INSTALLED_APPS = [*INSTALLED_APPS, "core"]\n'))
+
+		const again = await scaffold(
+			['python'],
+			'postgresql',
+			{ ...template, 'shop/settings.py': settings },
+			'django'
+		)
+		assert.strictEqual(again.files['shop/settings.py'], settings)
+	})
+
+	test('Spring Data: entity in the application package, Flyway and pom.xml', async () => {
+		const { stack, files } = await scaffold(['java'], 'postgresql', {
+			'pom.xml': [
+				'<project>',
+				'\t<dependencies>',
+				'\t\t<dependency>',
+				'\t\t\t<groupId>org.springframework.boot</groupId>',
+				'\t\t\t<artifactId>spring-boot-starter-web</artifactId>',
+				'\t\t</dependency>',
+				'\t</dependencies>',
+				'</project>',
+				'',
+			].join('\n'),
+			'src/main/java/com/acme/shop/ShopApplication.java':
+				'package com.acme.shop;\n\n@SpringBootApplication\npublic class ShopApplication {}\n',
+		})
+
+		assert.strictEqual(stack, 'spring')
+		assert.match(
+			files['src/main/java/com/acme/shop/customer/Customer.java'],
+			/^package com\.acme\.shop\.customer;/
+		)
+		assert.ok(files['src/main/java/com/acme/shop/customer/CustomerRepository.java'])
+		assert.ok(files['src/main/resources/db/migration/V1__create_customers.sql'])
+		assert.match(
+			files['src/main/resources/application.properties'],
+			/spring\.datasource\.url=jdbc:postgresql:\/\/localhost:5432\/shop/
+		)
+		assert.match(
+			files['pom.xml'],
+			/\t\t<dependency>\n\t\t\t<groupId>org\.postgresql<\/groupId>\n\t\t\t<artifactId>postgresql<\/artifactId>\n\t\t\t<scope>runtime<\/scope>\n\t\t<\/dependency>\n\t<\/dependencies>/
+		)
+	})
+
+	test('Entity Framework Core: dated migration, packages and connection string', async () => {
+		const { stack, files } = await scaffold(['csharp'], 'sqlite', {
+			'Shop.Api/Shop.Api.csproj': '<Project Sdk="Microsoft.NET.Sdk.Web">\n</Project>\n',
+			'Shop.Api/appsettings.json': '{\n    "AllowedHosts": "*"\n}\n',
+		})
+
+		assert.strictEqual(stack, 'efcore')
+		const migration = files['Shop.Api/Migrations/20240131235958_InitialCreate.cs']
+		assert.match(migration, /namespace Shop\.Api\.Migrations/)
+		assert.match(migration, /\[Migration\("20240131235958_InitialCreate"\)\]/)
+		assert.match(
+			files['Shop.Api/Shop.Api.csproj'],
+			/<PackageReference Include="Microsoft\.EntityFrameworkCore\.Sqlite" Version="[^"]+" \/>/
+		)
+		assert.strictEqual(
+			files['Shop.Api/appsettings.json'],
+			'{\n    "AllowedHosts": "*",\n    "ConnectionStrings": {\n        "Default": "Data Source=shop.db"\n    }\n}\n'
+		)
+	})
+
+	test('keeps files the template already has', async () => {
+		const { files } = await scaffold(['python'], 'sqlite', {
+			'models.py': '# the template models\n',
+			'requirements.txt': '',
+		})
+
+		assert.strictEqual(files['models.py'], '# the template models\n')
+		assert.ok(files['database.py'])
+	})
+})
@@ -0,0 +1,47 @@
+const assert = require('assert')
+const buffer = require('buffer')
+const { decodeText, encodeText } = require('../src/utils/fileUtils')
+
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00])
+const LATIN1 = Buffer.from('caf\xe9\n', 'latin1')
+
+suite('File utilities', () => {
+	test('decodes UTF-8 text and round-trips it', () => {
+		const content = Buffer.from('const name = "café"\n', 'utf8')
+		const decoded = decodeText(content)
+
+		assert.deepStrictEqual(decoded, { text: 'const name = "café"\n', encoding: 'utf-8' })
+		assert.ok(encodeText(decoded.text, decoded.encoding).equals(content))
+	})
+
+	test('decodes UTF-16 text by its byte order mark, keeping the mark', () => {
+		const little = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('hi\n', 'utf16le')])
+		const big = Buffer.from(little).swap16()
+
+		for (const [content, encoding] of [
+			[little, 'utf-16le'],
+			[big, 'utf-16be'],
+		]) {
+			const decoded = decodeText(content)
+			assert.deepStrictEqual(decoded, { text: '\ufeffhi\n', encoding })
+			assert.ok(encodeText(decoded.text, decoded.encoding).equals(content))
+		}
+	})
+
+	test('treats binary content and other encodings as not text', () => {
+		assert.strictEqual(decodeText(PNG_HEADER), null)
+		assert.strictEqual(decodeText(LATIN1), null)
+	})
+
+	test('tells text from binary without buffer.isUtf8', () => {
+		const { isUtf8 } = buffer
+		delete buffer.isUtf8
+		try {
+			assert.strictEqual(decodeText(Buffer.from('ok\n')).encoding, 'utf-8')
+			assert.strictEqual(decodeText(LATIN1), null)
+			assert.strictEqual(decodeText(PNG_HEADER), null)
+		} finally {
+			buffer.isUtf8 = isUtf8
+		}
+	})
+})
@@ -0,0 +1,57 @@
+const assert = require('assert')
+const http = require('http')
+const { downloadText, downloadJson } = require('../src/utils/network')
+
+suite('Network downloads', () => {
+	let server
+	let baseUrl
+	const requests = []
+
+	suiteSetup(async () => {
+		server = http.createServer((request, response) => {
+			requests.push({ url: request.url, authorization: request.headers.authorization })
+			const redirect = request.url.match(/^\/redirect\/(\d+)$/)
+			if (redirect) {
+				response.writeHead(Number(redirect[1]), { Location: '/registry.json' })
+				response.end()
+			} else if (request.url === '/registry.json') {
+				response.writeHead(200, { 'Content-Type': 'application/json' })
+				response.end('{"templates":{}}')
+			} else {
+				response.writeHead(404, 'Not Found')
+				response.end()
+			}
+		})
+		await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+		baseUrl = `http://127.0.0.1:${server.address().port}`
+	})
+
+	suiteTeardown(() => {
+		server.close()
+	})
+
+	setup(() => {
+		requests.length = 0
+	})
+
+	test('downloads from plain HTTP URLs', async () => {
+		assert.strictEqual(await downloadText(`${baseUrl}/registry.json`), '{"templates":{}}')
+	})
+
+	test('follows every redirect status, keeping headers on the same origin', async () => {
+		for (const status of [301, 302, 303, 307, 308]) {
+			assert.deepStrictEqual(
+				await downloadJson(`${baseUrl}/redirect/${status}`, {
+					headers: { Authorization: 'token secret' },
+				}),
+				{ templates: {} }
+			)
+		}
+		assert.strictEqual(requests.length, 10)
+		assert.ok(requests.every((request) => request.authorization === 'token secret'))
+	})
+
+	test('reports missing resources', async () => {
+		await assert.rejects(downloadJson(`${baseUrl}/missing.json`), /Resource not found/)
+	})
+})
@@ -0,0 +1,138 @@
+const assert = require('assert')
+const path = require('path')
+const { VirtualFileSystem } = require('../src/utils/virtualFs')
+const { createNodeHost, setHost } = require('../src/utils/host')
+const { updatePackageJson } = require('../src/utils/packageJson')
+const { generateProjectFiles } = require('../src/utils/projectGenerator')
+const { NPM_VERSION_CATALOG } = require('../src/utils/versionCatalog')
+
+const PROJECT = path.resolve('/project')
+const PACKAGE_PATH = path.join(PROJECT, 'package.json')
+
+async function createProject(files) {
+	const projectFs = new VirtualFileSystem()
+	await projectFs.ensureDir(PROJECT)
+	for (const [name, content] of Object.entries(files)) {
+		await projectFs.ensureDir(path.dirname(path.join(PROJECT, name)))
+		await projectFs.writeFile(path.join(PROJECT, name), content)
+	}
+	return projectFs
+}
+
+suite('package.json updates', () => {
+	const warnings = []
+
+	setup(() => {
+		warnings.length = 0
+		setHost(createNodeHost({ warn: (message) => warnings.push(message) }))
+	})
+
+	teardown(() => {
+		setHost(null)
+	})
+
+	test('adds catalog versions in sorted order and keeps listed packages', async () => {
+		const projectFs = await createProject({
+			'package.json': JSON.stringify({
+				dependencies: { react: '^18.2.0', zod: '^3.0.0' },
+				devDependencies: { postcss: '8.0.0' },
+			}),
+		})
+		await updatePackageJson(PROJECT, projectFs, {
+			dependencies: ['bootstrap', 'postcss'],
+			devDependencies: ['tailwindcss', 'tailwindcss'],
+		})
+
+		const packageJson = JSON.parse(await projectFs.readFile(PACKAGE_PATH, 'utf8'))
+		assert.deepStrictEqual(packageJson.dependencies, {
+			bootstrap: NPM_VERSION_CATALOG.bootstrap,
+			react: '^18.2.0',
+			zod: '^3.0.0',
+		})
+		assert.deepStrictEqual(packageJson.devDependencies, {
+			postcss: '8.0.0',
+			tailwindcss: NPM_VERSION_CATALOG.tailwindcss,
+		})
+	})
+
+	test('replaces only the placeholder test script', async () => {
+		const projectFs = await createProject({
+			'package.json': JSON.stringify({
+				scripts: { test: 'echo "Error: no test specified" && exit 1', lint: 'eslint src' },
+			}),
+		})
+		await updatePackageJson(PROJECT, projectFs, {
+			scripts: { test: 'jest', lint: 'eslint .', format: 'prettier --write .' },
+		})
+
+		assert.deepStrictEqual(JSON.parse(await projectFs.readFile(PACKAGE_PATH, 'utf8')).scripts, {
+			test: 'jest',
+			lint: 'eslint src',
+			format: 'prettier --write .',
+		})
+	})
+
+	test('keeps the indentation of the file', async () => {
+		const projectFs = await createProject({ 'package.json': '{\n\t"name": "shop"\n}\n' })
+		await updatePackageJson(PROJECT, projectFs, { scripts: { dev: 'vite' } })
+
+		assert.strictEqual(
+			await projectFs.readFile(PACKAGE_PATH, 'utf8'),
+			'{\n\t"name": "shop",\n\t"scripts": {\n\t\t"dev": "vite"\n\t}\n}\n'
+		)
+	})
+
+	test('resolves to false without a package.json', async () => {
+		const projectFs = await createProject({})
+		assert.strictEqual(
+			await updatePackageJson(PROJECT, projectFs, { dependencies: ['antd'] }),
+			false
+		)
+		assert.strictEqual(await projectFs.pathExists(PACKAGE_PATH), false)
+	})
+
+	test('rejects packages missing from the version catalog', async () => {
+		const projectFs = await createProject({ 'package.json': '{}' })
+		await assert.rejects(
+			updatePackageJson(PROJECT, projectFs, { dependencies: ['left-pad'] }),
+			/No version of left-pad in the version catalog/
+		)
+	})
+
+	test('warns and leaves an invalid package.json alone', async () => {
+		for (const content of ['{ "name": ', '[]']) {
+			const projectFs = await createProject({ 'package.json': content })
+			const updated = await updatePackageJson(PROJECT, projectFs, {
+				dependencies: ['antd'],
+				scripts: { dev: 'vite' },
+			})
+
+			assert.strictEqual(updated, false)
+			assert.strictEqual(await projectFs.readFile(PACKAGE_PATH, 'utf8'), content)
+		}
+		assert.strictEqual(warnings.length, 2)
+		assert.match(warnings[0], /^The template's package\.json is not valid \(.+\), so antd, dev/)
+		assert.match(warnings[1], /\(expected an object\)/)
+	})
+
+	test('applies the other options when package.json is invalid', async () => {
+		const projectFs = await createProject({ 'package.json': '{ "name": ' })
+		const framework = { key: 'app', name: 'App', tags: ['javascript', 'frontend'] }
+		await generateProjectFiles(
+			PROJECT,
+			framework,
+			'minimal',
+			'shop',
+			{ cssFramework: 'tailwind', database: 'postgresql' },
+			projectFs,
+			{ report: () => {} },
+			undefined,
+			{ runHooks: false }
+		)
+
+		assert.strictEqual(await projectFs.readFile(PACKAGE_PATH, 'utf8'), '{ "name": ')
+		assert.ok(await projectFs.pathExists(path.join(PROJECT, 'tailwind.config.js')))
+		assert.ok(await projectFs.pathExists(path.join(PROJECT, 'prisma', 'schema.prisma')))
+		assert.ok(warnings.some((message) => message.includes('tailwindcss, postcss')))
+	})
+})
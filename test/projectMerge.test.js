@@ -0,0 +1,144 @@
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const {
+	isProtectedFile,
+	findMergeConflicts,
+	mergeIntoProject,
+} = require('../src/utils/projectMerge')
+
+async function writeFiles(rootPath, files) {
+	for (const [name, content] of Object.entries(files)) {
+		await fs.outputFile(path.join(rootPath, name), content)
+	}
+}
+
+// Relative path -> content of every file under rootPath
+async function readFiles(rootPath, relativeDir = '') {
+	const files = {}
+	for (const entry of await fs.readdir(path.join(rootPath, relativeDir), {
+		withFileTypes: true,
+	})) {
+		const relativePath = path.posix.join(relativeDir, entry.name)
+		if (entry.isDirectory()) {
+			Object.assign(files, await readFiles(rootPath, relativePath))
+		} else {
+			files[relativePath] = await fs.readFile(path.join(rootPath, relativePath), 'utf8')
+		}
+	}
+	return files
+}
+
+function summarize(conflicts) {
+	return conflicts.map(({ path, protected: isProtected, typeConflict }) => ({
+		path,
+		protected: isProtected,
+		typeConflict,
+	}))
+}
+
+suite('Project merge', () => {
+	let rootPath
+	let stagingPath
+	let projectPath
+
+	setup(async () => {
+		rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'kickstart-merge-test-'))
+		stagingPath = path.join(rootPath, 'staging')
+		projectPath = path.join(rootPath, 'project')
+		await writeFiles(stagingPath, {
+			'.env': 'PORT=3000\n',
+			'package.json': '{ "name": "template" }\n',
+			'README.md': '# Template\n',
+			'src/index.js': 'template()\n',
+			'src/util.js': 'same()\n',
+		})
+	})
+
+	teardown(async () => {
+		await fs.remove(rootPath)
+	})
+
+	test('recognizes protected files by name in any folder', () => {
+		for (const file of ['.env', '.env.local', 'api/package.json', 'yarn.lock']) {
+			assert.strictEqual(isProtectedFile(file), true, file)
+		}
+		for (const file of ['env', '.envrc', 'package.json.bak', 'src/lock.yaml']) {
+			assert.strictEqual(isProtectedFile(file), false, file)
+		}
+	})
+
+	test('lists files that differ and flags the protected ones', async () => {
+		await writeFiles(projectPath, {
+			'.env': 'PORT=8080\n',
+			'package.json': '{ "name": "mine" }\n',
+			'src/index.js': 'mine()\n',
+			'src/util.js': 'same()\n',
+			'notes.txt': 'mine\n',
+		})
+
+		assert.deepStrictEqual(summarize(await findMergeConflicts(stagingPath, projectPath)), [
+			{ path: '.env', protected: true, typeConflict: false },
+			{ path: 'package.json', protected: true, typeConflict: false },
+			{ path: 'src/index.js', protected: false, typeConflict: false },
+		])
+	})
+
+	test('merges the template, keeping the listed files and files of the project only', async () => {
+		await writeFiles(projectPath, {
+			'.env': 'PORT=8080\n',
+			'src/index.js': 'mine()\n',
+			'notes.txt': 'mine\n',
+		})
+
+		await mergeIntoProject(stagingPath, projectPath, ['.env'])
+
+		assert.deepStrictEqual(await readFiles(projectPath), {
+			'.env': 'PORT=8080\n',
+			'notes.txt': 'mine\n',
+			'package.json': '{ "name": "template" }\n',
+			'README.md': '# Template\n',
+			'src/index.js': 'template()\n',
+			'src/util.js': 'same()\n',
+		})
+	})
+
+	test('leaves the repository of the project alone', async () => {
+		await writeFiles(stagingPath, { '.git/HEAD': 'ref: refs/heads/template\n' })
+		await writeFiles(projectPath, { '.git/HEAD': 'ref: refs/heads/main\n' })
+
+		assert.deepStrictEqual(await findMergeConflicts(stagingPath, projectPath), [])
+		await mergeIntoProject(stagingPath, projectPath)
+		assert.strictEqual(
+			await fs.readFile(path.join(projectPath, '.git', 'HEAD'), 'utf8'),
+			'ref: refs/heads/main\n'
+		)
+	})
+
+	test('reports a file where the template has a folder and the other way round', async () => {
+		await writeFiles(projectPath, {
+			src: 'not a folder\n',
+			'README.md/index.md': '# Mine\n',
+		})
+
+		assert.deepStrictEqual(summarize(await findMergeConflicts(stagingPath, projectPath)), [
+			{ path: 'README.md', protected: false, typeConflict: true },
+			{ path: 'src', protected: false, typeConflict: true },
+		])
+	})
+
+	test('replaces or keeps the entry of the other kind when merging', async () => {
+		await writeFiles(projectPath, {
+			src: 'not a folder\n',
+			'README.md/index.md': '# Mine\n',
+		})
+
+		await mergeIntoProject(stagingPath, projectPath, ['README.md'])
+
+		const files = await readFiles(projectPath)
+		assert.strictEqual(files['README.md/index.md'], '# Mine\n')
+		assert.strictEqual(files['src/index.js'], 'template()\n')
+		assert.strictEqual(files.src, undefined)
+	})
+})
@@ -0,0 +1,150 @@
+const assert = require('assert')
+const path = require('path')
+const { VirtualFileSystem } = require('../src/utils/virtualFs')
+const {
+	detectPythonManifest,
+	updatePythonDependencies,
+	addPyprojectTables,
+	getPythonInstallCommands,
+} = require('../src/utils/pythonDependencies')
+
+const PROJECT = '/project'
+
+async function createProject(files) {
+	const projectFs = new VirtualFileSystem()
+	await projectFs.ensureDir(PROJECT)
+	for (const [name, content] of Object.entries(files)) {
+		await projectFs.writeFile(path.join(PROJECT, name), content)
+	}
+	return projectFs
+}
+
+function readFile(projectFs, name) {
+	return projectFs.readFile(path.join(PROJECT, name), 'utf8')
+}
+
+suite('Python dependency manifests', () => {
+	test('detects the manifest the project uses', async () => {
+		const detect = async (files) => detectPythonManifest(PROJECT, await createProject(files))
+
+		assert.strictEqual(await detect({}), 'requirements')
+		assert.strictEqual(await detect({ 'pyproject.toml': '[tool.black]\n' }), 'requirements')
+		assert.strictEqual(
+			await detect({ 'pyproject.toml': '[tool.poetry.dependencies]\npython = "^3.12"\n' }),
+			'poetry'
+		)
+		assert.strictEqual(
+			await detect({ 'pyproject.toml': '[project]\nname = "app"\n' }),
+			'pep621'
+		)
+		assert.strictEqual(
+			await detect({ 'pyproject.toml': '[project]\nname = "app"\n', 'uv.lock': '' }),
+			'uv'
+		)
+	})
+
+	test('adds missing requirements and keeps listed ones', async () => {
+		const projectFs = await createProject({ 'requirements.txt': 'fastapi\nSQLAlchemy==2.0.1' })
+		await updatePythonDependencies(PROJECT, projectFs, {
+			dependencies: ['SQLAlchemy', 'psycopg[binary]'],
+			devDependencies: ['pytest'],
+		})
+
+		assert.strictEqual(
+			await readFile(projectFs, 'requirements.txt'),
+			'fastapi\nSQLAlchemy==2.0.1\npsycopg[binary]>=3.1\n'
+		)
+		assert.strictEqual(
+			await readFile(projectFs, 'requirements-dev.txt'),
+			'-r requirements.txt\npytest>=8.0\n'
+		)
+	})
+
+	test('extends multi-line and single-line arrays of pyproject.toml', async () => {
+		const projectFs = await createProject({
+			'pyproject.toml': [
+				'[project]',
+				'name = "app"',
+				'dependencies = [',
+				'  "fastapi>=0.110"',
+				']',
+				'',
+				'[project.optional-dependencies]',
+				'dev = ["black"]',
+				'',
+			].join('\n'),
+		})
+		await updatePythonDependencies(PROJECT, projectFs, {
+			dependencies: ['redis'],
+			devDependencies: ['pytest'],
+		})
+
+		assert.strictEqual(
+			await readFile(projectFs, 'pyproject.toml'),
+			[
+				'[project]',
+				'name = "app"',
+				'dependencies = [',
+				'  "fastapi>=0.110",',
+				'  "redis>=5.0",',
+				']',
+				'',
+				'[project.optional-dependencies]',
+				'dev = [',
+				'    "black",',
+				'    "pytest>=8.0",',
+				']',
+				'',
+			].join('\n')
+		)
+	})
+
+	test('adds Poetry dependencies with their extras', async () => {
+		const projectFs = await createProject({
+			'pyproject.toml': '[tool.poetry.dependencies]\npython = "^3.12"\n',
+		})
+		await updatePythonDependencies(PROJECT, projectFs, {
+			dependencies: ['psycopg[binary]'],
+			devDependencies: ['pytest'],
+		})
+
+		assert.strictEqual(
+			await readFile(projectFs, 'pyproject.toml'),
+			[
+				'[tool.poetry.dependencies]',
+				'python = "^3.12"',
+				'psycopg = { version = ">=3.1", extras = ["binary"] }',
+				'',
+				'[tool.poetry.group.dev.dependencies]',
+				'pytest = ">=8.0"',
+				'',
+			].join('\n')
+		)
+	})
+
+	test('adds only the pyproject.toml tables that are missing', () => {
+		assert.strictEqual(
+			addPyprojectTables('[tool.black]\nline-length = 100\n', '[tool.black]\n[tool.isort]\n'),
+			'[tool.black]\nline-length = 100\n\n[tool.isort]\n'
+		)
+	})
+
+	test('installs development dependencies too', async () => {
+		const install = async (files) =>
+			getPythonInstallCommands(PROJECT, await createProject(files))
+
+		assert.deepStrictEqual(await install({ 'requirements.txt': '' }), [
+			'pip install -r requirements.txt',
+		])
+		assert.deepStrictEqual(
+			await install({ 'requirements.txt': '', 'requirements-dev.txt': '' }),
+			['pip install -r requirements.txt -r requirements-dev.txt']
+		)
+		assert.deepStrictEqual(
+			await install({
+				'pyproject.toml': '[project]\n\n[project.optional-dependencies]\ndev = []\n',
+			}),
+			['pip install -e ".[dev]"']
+		)
+	})
+})
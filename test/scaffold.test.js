@@ -0,0 +1,156 @@
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const http = require('http')
+const fs = require('fs-extra')
+const { initializeStorage } = require('../src/utils/storage')
+const { createNodeHost, setHost } = require('../src/utils/host')
+const { scaffold } = require('../src/utils/scaffold')
+
+suite('Headless scaffolding', () => {
+	const warnings = []
+	let rootPath
+	let sourcePath
+	let location
+
+	suiteSetup(async () => {
+		rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'kickstart-scaffold-test-'))
+		await initializeStorage(path.join(rootPath, 'storage'))
+
+		sourcePath = path.join(rootPath, 'source')
+		await fs.outputJson(path.join(sourcePath, 'template-registry.json'), {
+			version: '1.0.0',
+			templates: {
+				'node-app': { name: 'Node', tags: ['javascript', 'backend'], scopes: ['minimal'] },
+			},
+		})
+		const templatePath = path.join(sourcePath, 'templates', 'node-app', 'minimal')
+		await fs.outputFile(path.join(templatePath, 'src', 'index.js'), "console.log('hello')\n")
+		await fs.outputFile(path.join(templatePath, '.env'), 'PORT=3000\n')
+	})
+
+	suiteTeardown(async () => {
+		await fs.remove(rootPath)
+	})
+
+	setup(async () => {
+		warnings.length = 0
+		location = await fs.mkdtemp(path.join(rootPath, 'projects-'))
+		setHost(
+			createNodeHost({
+				settings: {
+					includeDefaultSource: false,
+					templateSources: [{ type: 'local', path: sourcePath }],
+				},
+				warn: (message) => warnings.push(message),
+				log: () => {},
+			})
+		)
+	})
+
+	teardown(() => {
+		setHost(null)
+	})
+
+	test('creates the project inside the location', async () => {
+		const projectPath = await scaffold({ framework: 'node-app', name: 'shop', location })
+
+		assert.strictEqual(projectPath, path.join(location, 'shop'))
+		assert.strictEqual(
+			await fs.readFile(path.join(projectPath, 'src', 'index.js'), 'utf8'),
+			"console.log('hello')\n"
+		)
+		assert.deepStrictEqual(await fs.readdir(location), ['shop'])
+		assert.deepStrictEqual(warnings, [])
+	})
+
+	test('rejects options of the wrong type with a validation error', async () => {
+		for (const [options, message] of [
+			[null, /expects an options object/],
+			[{ name: 'shop', location }, /Missing required option "framework"/],
+			[{ framework: 'node-app', name: 42, location }, /Option "name" must be a string/],
+			[{ framework: ['node-app'], name: 'shop', location }, /"framework" must be a string/],
+			[{ framework: 'node-app', scope: 1, name: 'shop', location }, /"scope" must be a/],
+			[{ framework: 'node-app', name: 'shop', location: 'projects' }, /absolute folder/],
+			[{ framework: 'node-app', name: '../shop', location }, /Invalid option "name"/],
+			[{ framework: 'node-app', name: 'shop', location, ifExists: 'keep' }, /ifExists/],
+			[{ framework: 'vue-app', name: 'shop', location }, /Template not found/],
+			[{ framework: 'node-app', scope: 'enterprise', name: 'shop', location }, /scope/],
+			[{ framework: 'node-app', name: 'shop', location, database: 'oracle' }, /oracle/],
+		]) {
+			await assert.rejects(scaffold(options), (error) => {
+				assert.ok(!(error instanceof TypeError), error.stack)
+				assert.match(error.message, message)
+				return true
+			})
+		}
+		assert.deepStrictEqual(await fs.readdir(location), [])
+	})
+
+	test('fails on an existing folder unless told to overwrite or merge', async () => {
+		const projectPath = path.join(location, 'shop')
+		await fs.outputFile(path.join(projectPath, '.env'), 'PORT=8080\n')
+		await fs.outputFile(path.join(projectPath, 'src', 'index.js'), '// mine\n')
+
+		await assert.rejects(
+			scaffold({ framework: 'node-app', name: 'shop', location }),
+			/already exists\. Pass ifExists: 'overwrite' or 'merge'/
+		)
+
+		await scaffold({ framework: 'node-app', name: 'shop', location, ifExists: 'merge' })
+		assert.strictEqual(await fs.readFile(path.join(projectPath, '.env'), 'utf8'), 'PORT=8080\n')
+		assert.strictEqual(
+			await fs.readFile(path.join(projectPath, 'src', 'index.js'), 'utf8'),
+			"console.log('hello')\n"
+		)
+
+		await scaffold({ framework: 'node-app', name: 'shop', location, ifExists: 'overwrite' })
+		assert.strictEqual(await fs.readFile(path.join(projectPath, '.env'), 'utf8'), 'PORT=3000\n')
+	})
+
+	test('reports registry downloads to the caller instead of the host', async () => {
+		const server = http.createServer((request, response) => {
+			response.writeHead(200, { 'Content-Type': 'application/json' })
+			response.end('{"version":"1.0.0","templates":{}}')
+		})
+		await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+		const progressTitles = []
+		const messages = []
+		setHost({
+			...createNodeHost({
+				settings: {
+					includeDefaultSource: false,
+					templateSources: [
+						{
+							type: 'http',
+							url: `http://127.0.0.1:${server.address().port}/registry.json`,
+							label: 'remote',
+						},
+					],
+				},
+				log: () => {},
+			}),
+			withProgress: (title, task) => {
+				progressTitles.push(title)
+				return task({ report: () => {} })
+			},
+		})
+
+		try {
+			await assert.rejects(
+				scaffold({
+					framework: 'node-app',
+					name: 'shop',
+					location,
+					progress: { report: ({ message }) => messages.push(message) },
+				}),
+				/Template not found/
+			)
+		} finally {
+			server.close()
+		}
+		assert.deepStrictEqual(progressTitles, [])
+		assert.deepStrictEqual(messages, ['Fetching latest templates from remote...'])
+	})
+})
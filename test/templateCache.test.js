@@ -0,0 +1,66 @@
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const { initializeStorage } = require('../src/utils/storage')
+const { findCachedTemplate, findCachedTree, cacheTemplate } = require('../src/utils/templateCache')
+
+suite('Template cache', () => {
+	const source = { id: 'test-source' }
+	let rootPath
+	let templatePath
+
+	suiteSetup(async () => {
+		rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'kickstart-cache-test-'))
+		await initializeStorage(path.join(rootPath, 'storage'))
+		templatePath = path.join(rootPath, 'template')
+		await fs.outputFile(path.join(templatePath, 'index.js'), 'console.log(1)\n')
+	})
+
+	suiteTeardown(async () => {
+		await fs.remove(rootPath)
+	})
+
+	test('returns a copy cached for the same lastUpdated', async () => {
+		await cacheTemplate(
+			'app',
+			'minimal',
+			source,
+			{ sha: 'aaa', lastUpdated: '2024-01-01' },
+			templatePath
+		)
+
+		const cached = await findCachedTemplate('app', 'minimal', source, '2024-01-01')
+		assert.strictEqual(cached.stale, false)
+		assert.ok(await fs.pathExists(path.join(cached.path, 'index.js')))
+		assert.strictEqual(await findCachedTree(source, 'aaa'), cached.path)
+	})
+
+	test('treats a copy from another lastUpdated as stale', async () => {
+		await cacheTemplate(
+			'app',
+			'minimal',
+			source,
+			{ sha: 'aaa', lastUpdated: '2024-01-01' },
+			templatePath
+		)
+
+		assert.strictEqual(await findCachedTemplate('app', 'minimal', source, '2024-02-01'), null)
+		const stale = await findCachedTemplate('app', 'minimal', source, '2024-02-01', {
+			allowStale: true,
+		})
+		assert.strictEqual(stale.stale, true)
+	})
+
+	test('treats a copy without lastUpdated as stale', async () => {
+		await cacheTemplate('api', 'minimal', source, { sha: 'bbb' }, templatePath)
+
+		assert.strictEqual(await findCachedTemplate('api', 'minimal', source, undefined), null)
+		assert.strictEqual(await findCachedTemplate('api', 'minimal', source, null), null)
+		const stale = await findCachedTemplate('api', 'minimal', source, undefined, {
+			allowStale: true,
+		})
+		assert.strictEqual(stale.stale, true)
+		assert.strictEqual(await findCachedTree(source, 'bbb'), stale.path)
+	})
+})
@@ -0,0 +1,136 @@
+const assert = require('assert')
+const { FILTERS, renderTemplate } = require('../src/utils/templateEngine')
+
+const context = {
+	variables: { PROJECT_NAME: 'my-app', FEATURES: ['docker', 'testing'], port: 3000 },
+	options: { database: 'postgresql', features: ['docker', 'testing'], authentication: null },
+}
+
+function render(source, { closeBlocks } = {}) {
+	return renderTemplate(source, context, 'file.txt', { closeBlocks })
+}
+
+suite('Template engine', () => {
+	test('outputs variables through filters', () => {
+		assert.strictEqual(render('{{PROJECT_NAME}}'), 'my-app')
+		assert.strictEqual(render('{{PROJECT_NAME | upper}}'), 'MY-APP')
+		assert.strictEqual(render('{{PROJECT_NAME | pascal}}'), 'MyApp')
+		assert.strictEqual(render('{{FEATURES | join " "}}'), 'docker testing')
+		assert.strictEqual(render('{{port}}'), '3000')
+	})
+
+	test('renders conditions on options and variables', () => {
+		assert.strictEqual(render('{{#if database == "postgresql"}}pg{{else}}other{{/if}}'), 'pg')
+		assert.strictEqual(
+			render('{{#if "docker" in features && !authentication}}yes{{/if}}'),
+			'yes'
+		)
+		assert.strictEqual(
+			render('{{#if database == "mysql"}}a{{else if database}}b{{else}}c{{/if}}'),
+			'b'
+		)
+		assert.strictEqual(render('{{#unless authentication}}open{{/unless}}'), 'open')
+	})
+
+	test('loops over lists, with an alias and an empty branch', () => {
+		assert.strictEqual(
+			render('{{#each FEATURES}}{{@index}}:{{this}} {{/each}}'),
+			'0:docker 1:testing '
+		)
+		assert.strictEqual(
+			render('{{#each features as feature}}[{{feature}}]{{/each}}'),
+			'[docker][testing]'
+		)
+		assert.strictEqual(render('{{#each authentication}}x{{else}}none{{/each}}'), 'none')
+	})
+
+	test('drops the lines of block tags that stand alone', () => {
+		assert.strictEqual(render('a\n  {{#if database}}\nb\n  {{/if}}\nc\n'), 'a\nb\nc\n')
+	})
+
+	test('keeps escaped tags and unknown lowercase output tags as they are', () => {
+		assert.strictEqual(render('\\{{PROJECT_NAME}}'), '{{PROJECT_NAME}}')
+		assert.strictEqual(render('<p>{{ message }}</p>'), '<p>{{ message }}</p>')
+		assert.strictEqual(render('{{database}}'), '{{database}}')
+	})
+
+	test('passes blocks on unknown names through with their body', () => {
+		const handlebars = '<ul>\n  {{#each items}}\n  <li>{{this}}</li>\n  {{/each}}\n</ul>\n'
+		assert.strictEqual(render(handlebars), handlebars)
+
+		const nested = '{{#if user}}Hi {{user.name}}{{else}}{{#if guest}}Guest{{/if}}{{/if}}'
+		assert.strictEqual(render(nested), nested)
+		assert.strictEqual(render('{{#if (eq a b)}}x{{/if}}'), '{{#if (eq a b)}}x{{/if}}')
+		assert.strictEqual(
+			render('{{#each items as |item|}}{{item}}{{/each}}'),
+			'{{#each items as |item|}}{{item}}{{/each}}'
+		)
+	})
+
+	test('renders its own blocks inside passed-through text', () => {
+		assert.strictEqual(
+			render('{{#with user}}{{#if database}}{{PROJECT_NAME}}{{/if}}{{/with}}'),
+			'{{#with user}}my-app{{/with}}'
+		)
+	})
+
+	test('leaves Go and Helm template syntax alone', () => {
+		const helm = '{{ if .Values.enabled }}\non\n{{ else }}\noff\n{{ end }}\n'
+		assert.strictEqual(render(helm), helm)
+		assert.strictEqual(render('{{- else -}}'), '{{- else -}}')
+	})
+
+	test('reports unknown UPPER_CASE names and broken blocks', () => {
+		assert.throws(
+			() => render('{{PROJECT_NAM}}'),
+			/file\.txt:1: Unknown variable "PROJECT_NAM"/
+		)
+		assert.throws(
+			() => render('\n{{#if FEATURE}}x{{/if}}'),
+			/file\.txt:2: Unknown variable "FEATURE"/
+		)
+		assert.throws(() => render('{{#if database}}x'), /{{#if}} is never closed/)
+		assert.throws(() => render('{{#if database}}x{{/each}}'), /{{\/each}} closes {{#if}}/)
+		assert.throws(() => render('{{#if database ==}}x{{/if}}'), /Invalid expression/)
+		assert.throws(() => render('{{#if database && user}}x{{/if}}'), /Unknown variable "user"/)
+		assert.throws(() => render('{{PROJECT_NAME | shout}}'), /Unknown filter "shout"/)
+	})
+
+	test('closes blocks left open when asked to', () => {
+		assert.strictEqual(
+			render('{{#if database}}{{PROJECT_NAME}}', { closeBlocks: true }),
+			'my-app'
+		)
+	})
+})
+
+suite('Template filters', () => {
+	test('kebab and snake split words on case changes and separators', () => {
+		assert.strictEqual(FILTERS.kebab('MyCoolApp'), 'my-cool-app')
+		assert.strictEqual(FILTERS.kebab('my  app'), 'my-app')
+		assert.strictEqual(FILTERS.kebab('my_cool.app'), 'my-cool-app')
+		assert.strictEqual(FILTERS.kebab('APIServer'), 'api-server')
+		assert.strictEqual(FILTERS.snake('MyCoolApp'), 'my_cool_app')
+		assert.strictEqual(FILTERS.snake('my-cool  app'), 'my_cool_app')
+	})
+
+	test('pascal and camel join words', () => {
+		assert.strictEqual(FILTERS.pascal('my-cool_app'), 'MyCoolApp')
+		assert.strictEqual(FILTERS.camel('my-cool app'), 'myCoolApp')
+	})
+
+	test('pascal and camel drop dots and keep camelCase words apart', () => {
+		assert.strictEqual(FILTERS.pascal('my-app.x'), 'MyAppX')
+		assert.strictEqual(FILTERS.camel('my-app.x'), 'myAppX')
+		assert.strictEqual(FILTERS.pascal('myApp2.0'), 'MyApp20')
+		assert.strictEqual(FILTERS.camel('myApp2.0'), 'myApp20')
+		assert.strictEqual(FILTERS.camel('MyCoolApp'), 'myCoolApp')
+		assert.strictEqual(FILTERS.camel('APIServer'), 'apiServer')
+	})
+
+	test('default only replaces empty values', () => {
+		assert.strictEqual(FILTERS.default('', 'x'), 'x')
+		assert.strictEqual(FILTERS.default([], 'x'), 'x')
+		assert.strictEqual(FILTERS.default(0, 'x'), 0)
+	})
+})
@@ -0,0 +1,120 @@
+const assert = require('assert')
+const path = require('path')
+const { VirtualFileSystem } = require('../src/utils/virtualFs')
+const {
+	readManifest,
+	resolveVariables,
+	getExcludedPaths,
+	getPostGenerateCommands,
+	matchesPathPattern,
+} = require('../src/utils/templateManifest')
+
+async function loadManifest(manifest) {
+	const projectFs = new VirtualFileSystem()
+	await projectFs.ensureDir('/template')
+	await projectFs.writeFile(path.join('/template', 'kickstart.json'), JSON.stringify(manifest))
+	return readManifest('/template', projectFs)
+}
+
+suite('Manifest path patterns', () => {
+	test('matches a path, the files inside it and globs', () => {
+		assert.ok(matchesPathPattern('docs', 'docs'))
+		assert.ok(matchesPathPattern('docs/guide/intro.md', 'docs/'))
+		assert.ok(matchesPathPattern('src/app.test.js', './src/*.test.js'))
+		assert.ok(matchesPathPattern('a/b/c.test.js', '**/*.test.js'))
+		assert.ok(matchesPathPattern('c.test.js', '**/*.test.js'))
+		assert.ok(matchesPathPattern('v1.js', 'v?.js'))
+	})
+
+	test('does not match across folders or on partial names', () => {
+		assert.ok(!matchesPathPattern('docs-old/a.md', 'docs'))
+		assert.ok(!matchesPathPattern('src/lib/app.test.js', 'src/*.test.js'))
+		assert.ok(!matchesPathPattern('app.test.jsx', '*.test.js'))
+		assert.ok(!matchesPathPattern('v1xjs', 'v1.js'))
+	})
+})
+
+suite('Manifest variables', () => {
+	const manifest = {
+		prompts: [
+			{ name: 'port', type: 'number', integer: true, min: 1, default: 3000 },
+			{ name: 'ssr', type: 'boolean' },
+			{ name: 'theme', type: 'select', choices: ['light', 'dark'] },
+			{ name: 'extras', type: 'multiselect', choices: ['pwa', 'i18n'] },
+		],
+	}
+
+	test('uses defaults for missing values and parses text input', async () => {
+		const loaded = await loadManifest(manifest)
+		assert.deepStrictEqual(resolveVariables(loaded), {
+			port: 3000,
+			ssr: false,
+			theme: 'light',
+			extras: [],
+		})
+		assert.deepStrictEqual(
+			resolveVariables(loaded, {
+				port: '8080',
+				ssr: 'yes',
+				theme: 'dark',
+				extras: 'pwa, i18n',
+			}),
+			{ port: 8080, ssr: true, theme: 'dark', extras: ['pwa', 'i18n'] }
+		)
+	})
+
+	test('rejects values the prompt does not accept', async () => {
+		const loaded = await loadManifest(manifest)
+		assert.throws(() => resolveVariables(loaded, { port: '1.5' }), /"port": Expected a whole/)
+		assert.throws(() => resolveVariables(loaded, { theme: 'blue' }), /Expected one of: light/)
+		assert.throws(() => resolveVariables(loaded, { extras: 'pwa,seo' }), /Expected values/)
+	})
+
+	test('rejects invalid manifests', async () => {
+		await assert.rejects(
+			loadManifest({ prompts: [{ name: 'database' }] }),
+			/clashes with a built-in option/
+		)
+		await assert.rejects(
+			loadManifest({ prompts: [{ name: 'a' }, { name: 'a' }] }),
+			/declared twice/
+		)
+	})
+})
+
+suite('Manifest conditions', () => {
+	const manifest = {
+		exclude: [
+			{ paths: ['prisma'], unless: { database: ['postgresql', 'mysql'] } },
+			{ paths: ['Dockerfile'], unless: { features: 'docker' } },
+			{ paths: ['auth'], when: { authentication: null } },
+		],
+		hooks: {
+			postGenerate: [
+				'npm install',
+				{ command: 'npx prisma generate', when: { database: 'postgresql' } },
+			],
+		},
+	}
+
+	test('applies rules whose conditions match the selected options', async () => {
+		const loaded = await loadManifest(manifest)
+		assert.deepStrictEqual(
+			getExcludedPaths(loaded, { database: 'mysql', features: ['docker'] }),
+			['auth']
+		)
+		assert.deepStrictEqual(
+			getExcludedPaths(loaded, { database: 'sqlite', features: [], authentication: 'jwt' }),
+			['prisma', 'Dockerfile']
+		)
+	})
+
+	test('filters hooks on their conditions', async () => {
+		const loaded = await loadManifest(manifest)
+		assert.deepStrictEqual(getPostGenerateCommands(loaded, { database: 'postgresql' }), [
+			'npm install',
+			'npx prisma generate',
+		])
+		assert.deepStrictEqual(getPostGenerateCommands(loaded, {}), ['npm install'])
+	})
+})
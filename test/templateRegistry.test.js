@@ -0,0 +1,102 @@
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const http = require('http')
+const fs = require('fs-extra')
+const { initializeStorage } = require('../src/utils/storage')
+const { createNodeHost, setHost } = require('../src/utils/host')
+const {
+	updateTemplateRegistry,
+	getTemplateRegistry,
+	diffRegistries,
+	isSourceOffline,
+} = require('../src/utils/templateRegistry')
+const { getTemplateSources } = require('../src/utils/templateSources')
+
+suite('Template registry updates', () => {
+	const warnings = []
+	const server = { lastUpdated: '2024-01-01', down: [] }
+	let rootPath
+	let httpServer
+	let settings
+
+	suiteSetup(async () => {
+		rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'kickstart-registry-test-'))
+		await initializeStorage(path.join(rootPath, 'storage'))
+
+		httpServer = http.createServer((request, response) => {
+			const name = request.url.slice(1, -'.json'.length)
+			if (server.down.includes(name)) {
+				response.writeHead(500, 'Internal Server Error')
+				response.end()
+				return
+			}
+			const templates = {
+				[`${name}-app`]: { name: `${name} app`, lastUpdated: server.lastUpdated },
+			}
+			response.writeHead(200, { 'Content-Type': 'application/json' })
+			response.end(JSON.stringify({ version: '1.0.0', templates }))
+		})
+		await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve))
+
+		const baseUrl = `http://127.0.0.1:${httpServer.address().port}`
+		settings = {
+			includeDefaultSource: false,
+			templateSources: ['first', 'second'].map((name) => ({
+				type: 'http',
+				url: `${baseUrl}/${name}.json`,
+				label: name,
+			})),
+		}
+	})
+
+	suiteTeardown(async () => {
+		httpServer.close()
+		await fs.remove(rootPath)
+	})
+
+	setup(async () => {
+		warnings.length = 0
+		server.lastUpdated = '2024-01-01'
+		server.down = []
+		setHost(
+			createNodeHost({ settings, warn: (message) => warnings.push(message), log: () => {} })
+		)
+		await updateTemplateRegistry({ force: true })
+	})
+
+	teardown(() => {
+		setHost(null)
+	})
+
+	test('a forced update keeps the sources that answered when another fails', async () => {
+		const previousRegistry = await getTemplateRegistry()
+		server.lastUpdated = '2024-02-01'
+		server.down = ['second']
+
+		await updateTemplateRegistry({ force: true })
+
+		const diff = diffRegistries(previousRegistry, await getTemplateRegistry())
+		assert.deepStrictEqual(diff.updated, [
+			{ key: 'first-app', from: '2024-01-01', to: '2024-02-01' },
+		])
+		assert.deepStrictEqual(diff.removed, [])
+		assert.deepStrictEqual(warnings, [
+			'KickStart Hub could not reach second. Only templates available locally can be used from it.',
+		])
+
+		const [first, second] = getTemplateSources()
+		assert.strictEqual(isSourceOffline(first.id), false)
+		assert.strictEqual(isSourceOffline(second.id), true)
+	})
+
+	test('a forced update fails when no source answers', async () => {
+		server.down = ['first', 'second']
+
+		await assert.rejects(
+			updateTemplateRegistry({ force: true }),
+			/Could not fetch templates from first, second\. Please check your internet connection/
+		)
+		assert.deepStrictEqual(warnings, [])
+	})
+})